@@ -9,8 +9,11 @@
  * - metalsmith.debug(namespace) for debug logging
  */
 import { deepMerge, defaultOptions } from './utils/config.js';
+import { validateOptions } from './utils/option-schema.js';
 import { processAllFiles } from './processors/file-processor.js';
 import { setupFileProcessing, createAndSaveIndex } from './utils/index-helpers.js';
+import { loadExtractionCache, saveExtractionCache } from './utils/extraction-cache.js';
+import { createExtractionReport, createStrictError, hasIssues, summarizeReport } from './utils/extraction-report.js';
 
 /**
  * Plugin options
@@ -18,8 +21,59 @@ import { setupFileProcessing, createAndSaveIndex } from './utils/index-helpers.j
  * @property {string|string[]} [pattern] - HTML files to process (default: '**\/*.html')
  * @property {string|string[]} [ignore] - Files to ignore
  * @property {string} [indexPath] - Output path for search index (default: 'search-index.json')
+ * @property {string} [baseUrl] - Origin prefixed to every URL, e.g. 'https://example.com' (default: '')
+ * @property {string} [basePath] - Path prefix for subpath deployments, e.g. '/docs/v2' (default: '')
+ * @property {'always'|'never'|'preserve'} [trailingSlash] - Trailing slash on page URLs (default: 'never')
+ * @property {boolean} [keepExtension] - Use file paths as URLs, e.g. /foo/bar.html (default: false)
+ * @property {Function} [urlFormatter] - Custom (filename, file) => URL path (default: none)
+ * @property {Object<string, Options>} [indexes] - Named indexes, each with its own options on top of these (default: none)
  * @property {string[]} [excludeSelectors] - CSS selectors to exclude (e.g., ['nav', 'footer'])
+ * @property {string|string[]} [contentSelector] - Content region selectors in fallback order (e.g., ['main', 'article'])
+ * @property {Object} [excludeFrontmatter] - Frontmatter values that exclude a page (default: { draft: true, search: false })
+ * @property {string|string[]} [excludeRobotsDirectives] - Robots meta directives that exclude a page (default: ['noindex'])
+ * @property {boolean} [sections] - Also emit `type: 'section'` entries split at headings (default: false)
+ * @property {string|string[]} [sectionLevels] - Heading levels that start a section (default: ['h2', 'h3'])
+ * @property {string|string[]} [headingLevels] - Heading levels listed in each entry's headings (default: h1-h6)
+ * @property {boolean} [headingOutline] - Add snippet, wordOffset, parent and children to each heading (default: false)
+ * @property {number} [headingSnippetWords] - Maximum words per heading snippet (default: 30)
+ * @property {string|Function} [slugify] - Heading id preset ('default', 'github', 'markdown-it-anchor', 'unicode') or (text) => id (default: 'default')
+ * @property {boolean} [injectAnchors] - Write generated heading ids into file.contents (default: false)
+ * @property {boolean} [anchorLinks] - With injectAnchors, append self-link anchors to headings (default: false)
+ * @property {string} [anchorLinkClass] - Class of injected self-links (default: 'heading-anchor')
+ * @property {string} [anchorLinkSymbol] - Text of injected self-links (default: '#')
+ * @property {boolean|string} [validateLinks] - Write a deep-link validation report (true or report path; default: false)
+ * @property {boolean} [failOnBrokenLinks] - Fail the build on broken deep links (default: false)
+ * @property {string|string[]|Object} [metadataFields] - File-object properties to copy into entries (list or mapping)
+ * @property {boolean|string[]} [headMetadata] - Harvest head meta tags, Open Graph and JSON-LD (default: false)
+ * @property {string|string[]} [headMetadataSources] - Head metadata source precedence (default: ['meta', 'opengraph', 'jsonld'])
  * @property {Object} [fuseOptions] - Fuse.js configuration options
+ * @property {string|string[]} [routedFields] - data-search-field names that fuseOptions.keys may reference (default: [])
+ * @property {boolean|string} [fuseIndex] - Also write a pre-built Fuse index (requires fuse.js; default: false)
+ * @property {string|Function} [shardBy] - Write a manifest plus shards split by 'size', 'path', 'collection' or fn(entry)
+ * @property {number} [shardSize] - Target shard size in bytes for shardBy: 'size' (default: 250000)
+ * @property {number} [shardPathDepth] - URL path segments per shard for shardBy: 'path' (default: 1)
+ * @property {boolean|string|string[]} [collections] - Tag entries with @metalsmith/collections names (default: false)
+ * @property {boolean|Object<string, string>} [collectionType] - Page type from the collection: true or { posts: 'post' } (default: false)
+ * @property {boolean} [analysis] - Add an analyzed search field using the page's <html lang> (default: false)
+ * @property {string} [analysisField] - Entry field for the analyzed text (default: 'normalized')
+ * @property {string} [defaultLanguage] - Analysis language when <html lang> is missing (default: 'en')
+ * @property {boolean} [localeIndexes] - Write one index per page language (default: false)
+ * @property {string|string[]} [localeSources] - Language sources in order (default: ['html', 'frontmatter', 'path'])
+ * @property {string|string[]} [locales] - Languages a leading path segment may name, besides those found via html/frontmatter (default: [])
+ * @property {Object} [localeOptions] - Option overrides per locale, e.g. { ja: { analysis: false } } (default: {})
+ * @property {boolean|string} [invertedIndex] - Also write an inverted index with term positions (default: false)
+ * @property {string|Array} [format] - Index formats: 'fuse', 'lunr', 'minisearch', 'flexsearch' or custom exporters (default: 'fuse')
+ * @property {Object} [miniSearchOptions] - MiniSearch constructor options for format 'minisearch'
+ * @property {Object} [flexSearchOptions] - FlexSearch Document options for format 'flexsearch'
+ * @property {boolean} [minify] - Write index files without indentation (default: false)
+ * @property {number} [maxContentWords] - Truncate entry content to N words (default: 0 = no limit)
+ * @property {boolean} [pruneFields] - Drop fields not referenced by fuseOptions.keys (default: false)
+ * @property {boolean|string|string[]} [precompress] - Also write .gz / .br files (true = both; default: false)
+ * @property {boolean} [reproducible] - Sorted entries and keys, timestamp from SOURCE_DATE_EPOCH, contentHash (default: false)
+ * @property {boolean} [hashedFilename] - Write search-index.<contentHash>.json plus a pointer at indexPath (default: false)
+ * @property {boolean|number} [workers] - Extract pages on worker threads (true = one per spare CPU core; default: false)
+ * @property {boolean|string} [cache] - Reuse entries of unchanged pages across builds (true or cache file path; default: false)
+ * @property {boolean} [strict] - Fail the build when a page fails to extract, is empty or has no title (default: false)
  */
 
 /**
@@ -39,28 +93,16 @@ export default function search(options = {}) {
     const debug = metalsmith.debug('metalsmith-search');
     debug('Starting metalsmith-search with options:', config);
 
-    try {
-      // Setup and validate files for processing
-      const setup = setupFileProcessing(files, config, metalsmith, debug);
-
-      if (setup.shouldExit) {
-        return done();
+    buildSearchIndex(files, config, metalsmith, debug).then(
+      () => {
+        debug('metalsmith-search completed successfully');
+        done();
+      },
+      (error) => {
+        debug('metalsmith-search failed:', error);
+        done(error);
       }
-
-      const { normalizedOptions, filesToProcess } = setup;
-
-      // Process all files and collect search entries
-      const allSearchEntries = processAllFiles(filesToProcess, files, normalizedOptions, debug, metalsmith);
-
-      // Create and save the search index
-      createAndSaveIndex(allSearchEntries, files, normalizedOptions, debug);
-
-      debug('metalsmith-search completed successfully');
-      done();
-    } catch (error) {
-      debug('metalsmith-search failed:', error);
-      done(error);
-    }
+    );
   };
 
   // Set function name for debugging (helps with stack traces and debugging)
@@ -71,3 +113,48 @@ export default function search(options = {}) {
 
   return metalsmithPlugin;
 }
+
+/**
+ * Run the indexing pipeline: select files, extract entries, write the index.
+ * Async because optional output steps (e.g. the pre-built Fuse index) load
+ * their dependencies on demand.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} config - Merged plugin options
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {Function} debug - Debug logging function
+ * @returns {Promise<void>}
+ */
+async function buildSearchIndex(files, config, metalsmith, debug) {
+  // Reject unknown or malformed options before any file is touched
+  validateOptions(config);
+
+  // Setup and validate files for processing
+  const setup = setupFileProcessing(files, config, metalsmith, debug);
+
+  // Process all files once and collect search entries for each index,
+  // reusing entries of unchanged pages when the extraction cache is on
+  const cache = await loadExtractionCache(config, setup.targets, metalsmith, debug);
+  const report = createExtractionReport();
+  const entriesByTarget = await processAllFiles(setup.targets, files, debug, metalsmith, {
+    cache,
+    workers: config.workers,
+    report
+  });
+  if (cache) {
+    await saveExtractionCache(cache, debug);
+  }
+
+  // Pages that failed, were empty or have no title: fail in strict mode, otherwise warn once
+  if (hasIssues(report)) {
+    debug('Extraction report:', report);
+    if (config.strict) {
+      throw createStrictError(report);
+    }
+    console.warn(`metalsmith-search: ${summarizeReport(report)} (set DEBUG=metalsmith-search* for details)`);
+  }
+
+  // Create and save each search index
+  for (const [position, target] of setup.targets.entries()) {
+    await createAndSaveIndex(entriesByTarget[position], files, target.options, debug);
+  }
+}
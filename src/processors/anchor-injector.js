@@ -0,0 +1,117 @@
+/**
+ * Anchor injection processor
+ *
+ * With `injectAnchors` enabled, heading ids generated for the index are
+ * written back into `file.contents` so `/page#generated-id` deep links
+ * scroll in the browser without client-side resolution. Existing ids are
+ * never replaced and pages without generated ids are left byte-for-byte
+ * unchanged.
+ */
+import * as cheerio from 'cheerio';
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+// Full documents: the <html>, <head> and <body> tags are all optional in HTML5,
+// so any of them (or a doctype) marks a document rather than a fragment
+const DOCUMENT_MARKUP = /<(?:!doctype|html|head|body)[\s>]/i;
+
+/**
+ * Number every heading in document order before extraction removes
+ * elements, so headings found later can be located in a fresh parse of the page
+ * @param {Object} $ - Cheerio instance, not yet modified
+ * @returns {Map<Object, number>} Heading element -> document position
+ */
+export function indexHeadingElements($) {
+  return new Map(
+    $(HEADING_SELECTOR)
+      .toArray()
+      .map((el, position) => [el, position])
+  );
+}
+
+/**
+ * Collect every id used anywhere in the page, so generated ids never duplicate one
+ * @param {Object} $ - Cheerio instance, not yet modified
+ * @returns {Set<string>} Ids in use
+ */
+export function collectDocumentIds($) {
+  return new Set(
+    $('[id]')
+      .toArray()
+      .map((el) => el.attribs.id)
+  );
+}
+
+/**
+ * Build a self-link for a heading. It carries `data-search-ignore` so later
+ * runs of this plugin do not index the link symbol as heading text.
+ * @param {string} id - Heading id
+ * @param {Object} options - Normalized plugin options
+ * @returns {string} Anchor HTML
+ */
+function createSelfLink(id, options) {
+  const $ = cheerio.load('<a></a>', null, false);
+  return $('a')
+    .attr({ class: options.anchorLinkClass, href: `#${id}`, 'aria-hidden': 'true', 'data-search-ignore': '' })
+    .text(options.anchorLinkSymbol)
+    .toString();
+}
+
+/**
+ * Write generated heading ids (and optional self-links) back into the page.
+ *
+ * The page is parsed afresh so the elements extraction removed (navigation,
+ * scripts, ignored regions) stay in the output. Headings are matched by
+ * their document position from indexHeadingElements. Only headings that
+ * were given an index id are touched: a missing `id` is added, an existing
+ * one is kept, and with `anchorLinks` a self-link is appended unless the
+ * heading already links to itself.
+ *
+ * @param {Object} file - Metalsmith file object (contents are replaced when anything changed)
+ * @param {Array} headingRecords - Records from extractAndProcessHeadings ({el, level, id, title})
+ * @param {Map<Object, number>} headingPositions - From indexHeadingElements
+ * @param {Object} options - Normalized plugin options
+ * @returns {number} Number of headings changed
+ */
+export function injectHeadingAnchors(file, headingRecords, headingPositions, options) {
+  const source = file.contents.toString();
+  // Fragments are parsed and serialized as fragments, documents keep doctype and head
+  const $ = cheerio.load(source, null, DOCUMENT_MARKUP.test(source));
+  const headings = $(HEADING_SELECTOR).toArray();
+  let changed = 0;
+
+  for (const record of headingRecords) {
+    const el = headings[headingPositions.get(record.el)];
+    if (!el) {
+      continue;
+    }
+
+    const $heading = $(el);
+    let modified = false;
+
+    if (!$heading.attr('id')) {
+      $heading.attr('id', record.id);
+      modified = true;
+    }
+
+    const id = $heading.attr('id');
+    const hasSelfLink = $heading
+      .find('a[href]')
+      .toArray()
+      .some((link) => link.attribs.href === `#${id}`);
+    if (options.anchorLinks && !hasSelfLink) {
+      $heading.append(createSelfLink(id, options));
+      modified = true;
+    }
+
+    if (modified) {
+      changed++;
+    }
+  }
+
+  if (changed > 0) {
+    file.contents = Buffer.from($.html());
+  }
+
+  return changed;
+}
@@ -0,0 +1,83 @@
+/**
+ * Collections processor
+ *
+ * Tags entries with the `@metalsmith/collections` collections their page
+ * belongs to, so search UIs can offer "Posts / Docs / Reference" tabs.
+ * Membership comes from `metalsmith.metadata().collections` (lists of file
+ * objects) and the `collection` property the plugin sets on each file.
+ */
+
+/**
+ * Build a lookup of collection names per file from Metalsmith metadata
+ * @param {Object} metalsmith - Metalsmith instance
+ * @returns {Map} File object -> collection names, in metadata order
+ */
+export function buildCollectionLookup(metalsmith) {
+  const lookup = new Map();
+  const collections = metalsmith.metadata()?.collections || {};
+
+  for (const [name, members] of Object.entries(collections)) {
+    for (const member of Array.isArray(members) ? members : []) {
+      if (!lookup.has(member)) {
+        lookup.set(member, []);
+      }
+      lookup.get(member).push(name);
+    }
+  }
+
+  return lookup;
+}
+
+/**
+ * Get the collections a file belongs to, limited to the configured ones
+ * @param {Object} file - Metalsmith file object
+ * @param {Map} lookup - Lookup from buildCollectionLookup
+ * @param {Object} options - Normalized plugin options (collections: true or list of names)
+ * @returns {string[]} Collection names
+ */
+export function getFileCollections(file, lookup, options) {
+  const own = [file?.collection].flat().filter((name) => typeof name === 'string' && name);
+  const names = [...new Set([...(lookup.get(file) || []), ...own])];
+
+  return Array.isArray(options.collections) ? names.filter((name) => options.collections.includes(name)) : names;
+}
+
+/**
+ * Resolve the entry type for a page in the given collections
+ * @param {string[]} names - The page's collection names
+ * @param {boolean|Object} collectionType - true (first collection name) or { collection: type }
+ * @returns {string|null} Type, or null to keep 'page'
+ */
+function getCollectionType(names, collectionType) {
+  if (collectionType === true) {
+    return names[0] || null;
+  }
+
+  if (collectionType && typeof collectionType === 'object') {
+    const name = names.find((candidate) => typeof collectionType[candidate] === 'string');
+    return name ? collectionType[name] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Tag a page's entries with its collections. Section entries keep
+ * `type: 'section'`; page entries take their type from `collectionType`.
+ * @param {Array} entries - Entries extracted from one file
+ * @param {string[]} names - The file's collection names
+ * @param {Object} options - Normalized plugin options
+ * @returns {Array} Tagged entries (unchanged when the page is in no collection)
+ */
+export function tagCollectionEntries(entries, names, options) {
+  if (names.length === 0) {
+    return entries;
+  }
+
+  const type = getCollectionType(names, options.collectionType);
+  return entries.map((entry) => ({
+    ...entry,
+    collection: names,
+    ...(type && entry.type === 'page' && { type })
+  }));
+}
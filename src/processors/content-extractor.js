@@ -5,42 +5,77 @@
  * - Extract all text content from the page
  * - Find all headings and ensure they have IDs (generate if missing)
  * - Return single page entry with headings metadata for client-side scroll-to
+ * - Optionally split the page into section entries at heading boundaries
  */
 import * as cheerio from 'cheerio';
-import { generateAnchorId } from '../utils/anchor-generator.js';
+import { resolveSlugify } from '../utils/anchor-generator.js';
+import { collapseWhitespace, countWords, createExcerpt } from '../utils/text-helpers.js';
+import { extractFileMetadata } from '../utils/file-metadata.js';
+import { extractSectionEntries } from './section-splitter.js';
+import { extractHeadMetadata } from './head-metadata.js';
+import { collectRoutedFields, readTitleOverride, removeIgnoredElements } from './data-attributes.js';
+import { getRobotsExclusionReason } from './page-filter.js';
+import { detectPageLanguage } from './locale-detector.js';
+import { buildPageUrl } from '../utils/url-builder.js';
+import { buildHeadingOutline } from './heading-outline.js';
+import { collectDocumentIds, indexHeadingElements, injectHeadingAnchors } from './anchor-injector.js';
 
 /**
  * Extract searchable content from HTML file
  *
  * Returns a single search entry per page with:
  * - All text content
- * - Metadata from frontmatter
- * - List of headings with IDs for scroll-to functionality
+ * - List of headings with IDs for scroll-to functionality (an outline with
+ *   snippets and nesting when `options.headingOutline` is enabled)
+ * - Any file-object properties selected by `options.metadataFields`
+ * - Any head metadata (description, canonical URL, image, ...) selected by `options.headMetadata`
+ * - Text routed into extra fields with `data-search-field` / `data-search-weight`
+ * - The page language when `options.analysis` or `options.localeIndexes` is enabled
+ *
+ * When `options.sections` is enabled, the page entry is followed by one
+ * `type: 'section'` entry per heading listed in `options.sectionLevels`.
+ *
+ * Problems are pushed to `issues` for the build report: `failed` (extraction
+ * threw), `empty` (nothing to index) and `untitled` (indexed as 'Untitled').
+ * Pages excluded on purpose (robots meta) are not issues.
  *
  * @param {Object} file - Metalsmith file object
  * @param {string} filename - File path
  * @param {Object} options - Processing options
  * @param {Object} metalsmith - Metalsmith instance
- * @returns {Array} Array with single search entry (or empty if no content)
+ * @param {Object} [parsedPage] - Already parsed page (Cheerio instance) to extract from;
+ *   it is modified, so pass a clone when the page is shared
+ * @param {Array} [issues] - Collects this page's issues ({type, reason?, message?, url?})
+ * @returns {Array} Page entry followed by any section entries (or empty if no content)
  */
-export function extractSearchableContent(file, filename, options, metalsmith) {
+export function extractSearchableContent(file, filename, options, metalsmith, parsedPage, issues = []) {
   const debug = metalsmith.debug('metalsmith-search:extractor');
 
   try {
-    // Validate file input
-    if (!file || !Buffer.isBuffer(file.contents)) {
-      debug(`Skipping ${filename}: invalid file object`);
+    // Load HTML with Cheerio unless the caller already parsed it
+    const $ = parsedPage || parseHtmlFile(file, filename, debug, issues);
+    if (!$) {
       return [];
     }
 
-    const html = file.contents.toString();
-    if (!html.trim()) {
-      debug(`Skipping ${filename}: empty content`);
+    // Honor <meta name="robots" content="noindex">
+    const robotsReason = getRobotsExclusionReason($, options.excludeRobotsDirectives);
+    if (robotsReason) {
+      debug(`Skipping ${filename}: excluded (${robotsReason})`);
       return [];
     }
 
-    // Load HTML with Cheerio
-    const $ = cheerio.load(html);
+    // Harvest head metadata first: JSON-LD lives in <script> tags removed below
+    const headMetadata = pickHeadMetadata($, options, debug);
+
+    // Snapshot ids and heading positions before elements are removed: generated
+    // ids must not duplicate any id on the page, and injectAnchors edits the full page
+    const documentIds = collectDocumentIds($);
+    const headingPositions = options.injectAnchors ? indexHeadingElements($) : null;
+
+    // Language for text analysis and per-locale indexes (primary subtag, e.g. 'de')
+    const language =
+      options.analysis || options.localeIndexes ? { language: detectPageLanguage($, file, filename, options) } : {};
 
     // Remove excluded selectors (nav, header, footer, etc.)
     if (options.excludeSelectors && options.excludeSelectors.length > 0) {
@@ -48,77 +83,232 @@ export function extractSearchableContent(file, filename, options, metalsmith) {
       debug(`Removed excluded selectors: ${options.excludeSelectors.join(', ')}`);
     }
 
+    // Remove elements authors marked with data-search-ignore
+    const ignoredCount = removeIgnoredElements($);
+    if (ignoredCount > 0) {
+      debug(`Removed ${ignoredCount} data-search-ignore elements`);
+    }
+
     // Always remove scripts and styles
     $('script, style').remove();
 
-    // Generate base URL for this file
-    // Handle root index.html: index.html -> /
-    // Handle nested index: foo/index.html -> /foo
-    // Handle regular files: foo/bar.html -> /foo/bar
-    let baseUrl = filename.replace(/\.html$/, '');
-    if (baseUrl === 'index' || baseUrl.endsWith('/index')) {
-      baseUrl = baseUrl.replace(/\/?index$/, '') || '/';
-    }
-    const cleanUrl = baseUrl.startsWith('/') ? baseUrl : `/${baseUrl}`;
+    // Scope extraction to the main content region (whole document if unset)
+    const $content = resolveContentRoot($, options.contentSelector, debug);
+
+    // Page URL from the filename (or urlFormatter), with base path and trailing
+    // slash applied; a canonical URL from head metadata wins
+    const cleanUrl = headMetadata.url || buildPageUrl(filename, file, options);
 
-    // Determine page title from HTML <title> tag or first <h1>
-    const pageTitle = $('title').text().trim() || $('h1').first().text().trim() || 'Untitled';
+    // Determine page title from data-search-title, HTML <title> tag or first <h1> in the content region
+    const pageTitle = readTitleOverride($) || $('title').text().trim() || $content.find('h1').first().text().trim();
 
-    debug(`Processing ${filename} (URL: ${cleanUrl}, title: ${pageTitle})`);
+    debug(`Processing ${filename} (URL: ${cleanUrl}, title: ${pageTitle || 'none'})`);
 
-    // Extract all headings and ensure they have IDs
-    const headings = extractAndProcessHeadings($, debug);
+    // Extract all headings and ensure they have IDs; sections split on every
+    // level, the entry's heading list keeps only options.headingLevels
+    const headingRecords = extractAndProcessHeadings($, $content, documentIds, resolveSlugify(options.slugify), debug);
+    const headings = options.headingOutline
+      ? buildHeadingOutline($content, headingRecords, options)
+      : headingRecords
+          .filter((record) => options.headingLevels.includes(record.level))
+          .map(({ level, id, title }) => ({ level, id, title }));
 
-    // Extract all text content (collapse inter-tag whitespace from cheerio)
-    const mainText = $.text().replace(/\s+/g, ' ').trim();
+    // Extract all text content (collapse inter-tag whitespace from cheerio);
+    // separate multiple content roots so words at their edges don't merge
+    const mainText = collapseWhitespace(
+      $content
+        .toArray()
+        .map((el) => $(el).text())
+        .join(' ')
+    );
     if (!mainText) {
       debug(`Skipping ${filename}: no text content after processing`);
+      issues.push({ type: 'empty', reason: 'no text content after processing' });
       return [];
     }
 
-    // Create excerpt from content (first 250 chars, cut at word boundary)
-    const excerpt = mainText.length > 250 ? `${mainText.substring(0, 250).replace(/\s+\S*$/, '')}...` : mainText;
+    if (!pageTitle) {
+      issues.push({ type: 'untitled', url: cleanUrl });
+    }
 
     // Create single page entry
     const entry = {
       id: `page:${cleanUrl}`,
       type: 'page',
       url: cleanUrl,
-      title: pageTitle,
+      title: pageTitle || 'Untitled',
       content: mainText,
-      excerpt,
-      headings, // Array of {level, id, title} for scroll-to functionality
-      wordCount: mainText.split(/\s+/).filter(Boolean).length
+      excerpt: headMetadata.description || createExcerpt(mainText),
+      headings, // Array of {level, id, title, ...outline} for scroll-to functionality
+      wordCount: countWords(mainText),
+      ...language,
+      ...mergeFieldLists(headMetadata.extra, collectRoutedFields($, $content, debug))
     };
 
     debug(`Extracted page entry with ${headings.length} headings and ${entry.wordCount} words`);
-    return [entry];
+
+    const entries = [entry];
+    if (options.sections) {
+      const sectionEntries = extractSectionEntries($content, headingRecords, entry, options);
+      debug(`Extracted ${sectionEntries.length} section entries`);
+      entries.push(...sectionEntries.map((section) => ({ ...section, ...language, ...headMetadata.extra })));
+    }
+
+    // Write generated ids back into the rendered HTML so deep links always resolve
+    if (headingPositions) {
+      const changed = injectHeadingAnchors(file, headingRecords, headingPositions, options);
+      debug(`Injected anchors into ${changed} headings`);
+    }
+
+    // Copy selected frontmatter / file metadata onto every entry of this page
+    if (options.metadataFields && options.metadataFields.length > 0) {
+      const metadata = extractFileMetadata(file, options.metadataFields, debug);
+      return entries.map((e) => ({ ...e, ...metadata }));
+    }
+
+    return entries;
   } catch (error) {
     debug(`Error extracting content from ${filename}:`, error);
+    issues.push({ type: 'failed', message: error.message });
     return [];
   }
 }
 
+/**
+ * Parse a file's HTML with Cheerio
+ * @param {Object} file - Metalsmith file object
+ * @param {string} filename - File path
+ * @param {Function} debug - Debug logging function
+ * @param {Array} [issues] - Collects why the file cannot be indexed
+ * @returns {Object|null} Cheerio instance, or null for invalid or empty files
+ */
+export function parseHtmlFile(file, filename, debug, issues = []) {
+  // Validate file input
+  if (!file || !Buffer.isBuffer(file.contents)) {
+    debug(`Skipping ${filename}: invalid file object`);
+    issues.push({ type: 'failed', message: 'invalid file object (contents is not a Buffer)' });
+    return null;
+  }
+
+  const html = file.contents.toString();
+  if (!html.trim()) {
+    debug(`Skipping ${filename}: empty content`);
+    issues.push({ type: 'empty', reason: 'empty file' });
+    return null;
+  }
+
+  return cheerio.load(html);
+}
+
+/**
+ * Merge routed field lists into head metadata, concatenating lists that
+ * share a name (e.g. head `keywords` and `data-search-weight` text) without
+ * duplicates.
+ * @param {Object} base - Head metadata extras
+ * @param {Object} routed - Routed fields from collectRoutedFields
+ * @returns {Object} Merged fields
+ */
+function mergeFieldLists(base, routed) {
+  const merged = { ...base };
+  for (const [field, values] of Object.entries(routed)) {
+    merged[field] = Array.isArray(merged[field]) ? [...new Set([...merged[field], ...values])] : values;
+  }
+  return merged;
+}
+
+/**
+ * Resolve the content region to index.
+ *
+ * `contentSelector` is a fallback chain: the first selector that matches
+ * anything wins. All of its matches are used (e.g. every `article` on a
+ * listing page), minus matches nested inside another match so text is not
+ * counted twice. Without a selector, or when nothing matches, the whole
+ * document is used.
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {string[]} selectors - Content selectors in fallback order
+ * @param {Function} debug - Debug logging function
+ * @returns {Object} Cheerio selection of content root elements
+ */
+function resolveContentRoot($, selectors, debug) {
+  for (const selector of selectors || []) {
+    const $matches = $(selector);
+    if ($matches.length === 0) {
+      continue;
+    }
+
+    const matches = $matches.toArray();
+    debug(`Using content selector '${selector}' (${matches.length} matches)`);
+    return $matches.filter((_index, el) => !matches.some((other) => other !== el && $.contains(other, el)));
+  }
+
+  if (selectors && selectors.length > 0) {
+    debug(`No content selector matched (${selectors.join(' | ')}), using whole document`);
+  }
+
+  return $.root();
+}
+
+/**
+ * Harvest the head metadata fields enabled by `options.headMetadata`.
+ * `description` and `url` replace the page excerpt and URL; all other
+ * fields (image, published, keywords, schemaType) are returned in `extra`
+ * and added to every entry of the page.
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} options - Processing options
+ * @param {Function} debug - Debug logging function
+ * @returns {Object} {description, url, extra}
+ */
+function pickHeadMetadata($, options, debug) {
+  if (!options.headMetadata || options.headMetadata.length === 0) {
+    return { extra: {} };
+  }
+
+  const { description, url, ...rest } = extractHeadMetadata($, options.headMetadataSources, debug);
+  const enabled = new Set(options.headMetadata);
+  const extra = Object.fromEntries(Object.entries(rest).filter(([field]) => enabled.has(field)));
+
+  return {
+    description: enabled.has('description') ? description : undefined,
+    url: enabled.has('url') ? url : undefined,
+    extra
+  };
+}
+
 /**
  * Collect h1-h6 headings into an array for the search index.
  *
  * For headings that already carry an `id` attribute, that id is reused.
- * For headings without an `id`, a URL-safe slug is generated from the
- * heading text (with `-1`, `-2` suffixes to keep ids unique within a page).
+ * For headings without an `id`, a slug is generated from the heading text
+ * with the `slugify` option (with `-1`, `-2` suffixes to keep ids unique
+ * within a page).
  *
- * The rendered HTML is NOT modified — the generated ids live only inside
+ * Generated ids also skip every id already used elsewhere on the page.
+ * The rendered HTML is NOT modified here — the generated ids live only inside
  * the returned metadata, which is embedded in the search-index entry for
- * client-side use (TOC, search result deep-links, scroll-to).
+ * client-side use (TOC, search result deep-links, scroll-to). The
+ * `injectAnchors` option writes them back afterwards.
+ *
+ * Each record also carries the heading element (`el`) so later passes such
+ * as section splitting can locate the heading in the DOM; callers strip it
+ * before writing headings into an entry.
+ *
+ * Only headings inside the content region are collected, so headings in
+ * sidebars or other widgets outside it never become deep links.
  *
  * @param {Object} $ - Cheerio instance
+ * @param {Object} $content - Content region from resolveContentRoot
+ * @param {Set<string>} documentIds - Ids present anywhere on the page
+ * @param {Function} slugify - Slug function from resolveSlugify
  * @param {Function} debug - Debug logging function
- * @returns {Array} Array of {level: 'h2', id: 'section-id', title: 'Section Title'}
+ * @returns {Array} Array of {el, level: 'h2', id: 'section-id', title: 'Section Title'}
  */
-function extractAndProcessHeadings($, debug) {
+function extractAndProcessHeadings($, $content, documentIds, slugify, debug) {
   const headings = [];
-  const usedIds = new Set(); // Track used IDs to ensure uniqueness
+  const usedIds = new Set(documentIds); // Track used IDs to ensure uniqueness
 
-  $('h1, h2, h3, h4, h5, h6').each((_index, el) => {
+  $content.find('h1, h2, h3, h4, h5, h6').each((_index, el) => {
     const $heading = $(el);
     const level = el.name; // 'h1', 'h2', etc.
     const title = $heading.text().trim();
@@ -132,7 +322,7 @@ function extractAndProcessHeadings($, debug) {
 
     if (!id) {
       // Generate ID from heading text
-      id = generateAnchorId(title);
+      id = slugify(title);
 
       // Ensure uniqueness by appending number if needed
       let uniqueId = id;
@@ -142,12 +332,13 @@ function extractAndProcessHeadings($, debug) {
         counter++;
       }
       id = uniqueId;
-      debug(`Generated index-only ID '${id}' for ${level}: ${title}`);
+      debug(`Generated ID '${id}' for ${level}: ${title}`);
     }
 
     usedIds.add(id);
 
     headings.push({
+      el,
       level,
       id,
       title
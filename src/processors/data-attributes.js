@@ -0,0 +1,75 @@
+/**
+ * Data attribute processor
+ *
+ * In-markup controls for authors who cannot change the plugin config:
+ * - `data-search-ignore`: drop the element (and its children) from the index
+ * - `data-search-title`: override the page title (attribute value, or the element text)
+ * - `data-search-field="name"`: also copy the element text into entry field `name`
+ * - `data-search-weight`: shorthand for `data-search-field="keywords"`
+ */
+import { CORE_ENTRY_FIELDS } from '../utils/file-metadata.js';
+import { collapseWhitespace } from '../utils/text-helpers.js';
+
+/**
+ * Field that `data-search-weight` routes text into
+ * @type {string}
+ */
+export const BOOSTED_FIELD = 'keywords';
+
+/**
+ * Remove every element marked with `data-search-ignore`
+ * @param {Object} $ - Cheerio instance
+ * @returns {number} Number of removed elements
+ */
+export function removeIgnoredElements($) {
+  const $ignored = $('[data-search-ignore]');
+  $ignored.remove();
+  return $ignored.length;
+}
+
+/**
+ * Read the page title override from the first `data-search-title` element
+ * @param {Object} $ - Cheerio instance
+ * @returns {string} Title override, or empty string if none
+ */
+export function readTitleOverride($) {
+  const $el = $('[data-search-title]').first();
+  if ($el.length === 0) {
+    return '';
+  }
+
+  return collapseWhitespace($el.attr('data-search-title') || $el.text());
+}
+
+/**
+ * Collect text routed into extra fields via `data-search-field` / `data-search-weight`.
+ * Each matching element contributes one string to its field's list. Routing
+ * into extractor-owned fields (title, content, ...) is ignored.
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} $content - Content region to search for routed elements
+ * @param {Function} debug - Debug logging function
+ * @returns {Object} Map of field name to list of strings
+ */
+export function collectRoutedFields($, $content, debug) {
+  const fields = {};
+
+  $content.find('[data-search-field], [data-search-weight]').each((_index, el) => {
+    const $el = $(el);
+    const field = ($el.attr('data-search-field') || '').trim() || BOOSTED_FIELD;
+    const text = collapseWhitespace($el.text());
+
+    if (!text) {
+      return;
+    }
+
+    if (CORE_ENTRY_FIELDS.includes(field)) {
+      debug(`Ignoring data-search-field '${field}': reserved entry field`);
+      return;
+    }
+
+    fields[field] = [...(fields[field] || []), text];
+  });
+
+  return fields;
+}
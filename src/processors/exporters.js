@@ -0,0 +1,280 @@
+/**
+ * Index exporters
+ *
+ * Every build writes the entries document at `indexPath`. Each format listed
+ * in the `format` option adds what its search library needs on top of that:
+ * - fuse: `config.fuseOptions` (plus the pre-built index when `fuseIndex` is set)
+ * - lunr: a serialized `lunr.Index` (`lunr.Index.load()`)
+ * - minisearch: a MiniSearch JSON index (`MiniSearch.loadJSON()`)
+ * - flexsearch: a FlexSearch Document export as a key/data map (`index.import()`)
+ *
+ * Search fields and weights for Lunr and MiniSearch come from `fuseOptions.keys`,
+ * so one key list drives every format. The libraries are optional peer
+ * dependencies, imported only when their format is selected.
+ */
+import { importPeerDependency } from '../utils/peer-dependency.js';
+import { createFuseIndex, getFuseIndexPath } from './fuse-index.js';
+
+/**
+ * Companion file path for a format (search-index.json -> search-index.lunr.json)
+ * @param {Object} options - Normalized plugin options
+ * @param {string} name - Format name
+ * @returns {string} Output path
+ */
+function getCompanionPath(options, name) {
+  return options.indexPath.replace(/(\.json)?$/, `.${name}.json`);
+}
+
+/**
+ * Get the searchable fields and their weights from `fuseOptions.keys`
+ * @param {Object} fuseOptions - Fuse.js options
+ * @returns {Array} Fields as {name, weight}; nested keys use dotted names (e.g. 'headings.title')
+ */
+export function getSearchFields(fuseOptions) {
+  return (fuseOptions?.keys || [])
+    .map((key) => (key && typeof key === 'object' && !Array.isArray(key) ? key : { name: key }))
+    .map(({ name, weight }) => ({
+      name: Array.isArray(name) ? name.join('.') : String(name ?? ''),
+      weight: typeof weight === 'number' ? weight : 1
+    }))
+    .filter((field) => field.name);
+}
+
+/**
+ * Read a (possibly nested) field as plain text; arrays are joined with spaces
+ * @param {Object} entry - Index entry
+ * @param {string} path - Dotted field path (e.g. 'headings.title')
+ * @returns {string} Field text, or empty string when missing
+ */
+export function getFieldText(entry, path) {
+  const values = path
+    .split('.')
+    .reduce(
+      (current, key) => current.flatMap((value) => (value === null || value === undefined ? [] : [value[key]])).flat(),
+      [entry]
+    );
+
+  return values
+    .filter((value) => value !== null && value !== undefined && typeof value !== 'object')
+    .map(String)
+    .join(' ');
+}
+
+/**
+ * Fuse.js: the entries document is the data; the index itself is opt-in
+ */
+const fuseExporter = {
+  name: 'fuse',
+  // Fuse refers to documents by position in the list the client loads (the manifest when sharded)
+  byPosition: true,
+  // fuseIndex predates `config.indexes` and stays for existing clients
+  getConfig: (options, path) => ({ fuseOptions: options.fuseOptions, ...(path && { fuseIndex: path }) }),
+  getPath: (options) => getFuseIndexPath(options),
+  build: (entries, options) => createFuseIndex(entries, options.fuseOptions)
+};
+
+/**
+ * Lunr: fields boosted by their Fuse weight, documents referenced by entry id
+ */
+const lunrExporter = {
+  name: 'lunr',
+  getPath: (options) => getCompanionPath(options, 'lunr'),
+  async build(entries, options) {
+    const lunr = await importPeerDependency('lunr', "format: 'lunr'");
+    const fields = getSearchFields(options.fuseOptions);
+
+    const index = lunr(function () {
+      this.ref('id');
+      for (const field of fields) {
+        this.field(field.name, { boost: field.weight, extractor: (entry) => getFieldText(entry, field.name) });
+      }
+      for (const entry of entries) {
+        this.add(entry);
+      }
+    });
+
+    return index.toJSON();
+  }
+};
+
+/**
+ * Build the MiniSearch options shared by the build and the client
+ * @param {Object} options - Normalized plugin options
+ * @returns {Object} MiniSearch constructor options (serializable part)
+ */
+function getMiniSearchOptions(options) {
+  const fields = getSearchFields(options.fuseOptions);
+  const { searchOptions, ...miniSearchOptions } = options.miniSearchOptions || {};
+
+  return {
+    idField: 'id',
+    fields: fields.map((field) => field.name),
+    storeFields: [],
+    ...miniSearchOptions,
+    searchOptions: {
+      boost: Object.fromEntries(fields.map((field) => [field.name, field.weight])),
+      ...searchOptions
+    }
+  };
+}
+
+/**
+ * MiniSearch: stores no fields; results map back to entries by id
+ */
+const miniSearchExporter = {
+  name: 'minisearch',
+  getConfig: (options) => ({ miniSearchOptions: getMiniSearchOptions(options) }),
+  getPath: (options) => getCompanionPath(options, 'minisearch'),
+  async build(entries, options) {
+    const MiniSearch = await importPeerDependency('minisearch', "format: 'minisearch'");
+    const miniSearch = new MiniSearch({
+      ...getMiniSearchOptions(options),
+      extractField: (entry, field) => getFieldText(entry, field)
+    });
+
+    miniSearch.addAll(entries);
+    return miniSearch.toJSON();
+  }
+};
+
+/**
+ * Map a field path to a FlexSearch-safe field name (FlexSearch reserves ':' and '.')
+ * @param {string} name - Dotted field path
+ * @returns {string} Flat field name (e.g. 'headings_title')
+ */
+function toFlexSearchField(name) {
+  return name.replace(/[^\w-]+/g, '_');
+}
+
+/**
+ * Build the FlexSearch Document descriptor shared by the build and the client
+ * @param {Object} options - Normalized plugin options
+ * @returns {Object} Document constructor options (serializable part)
+ */
+function getFlexSearchOptions(options) {
+  const { document, ...flexSearchOptions } = options.flexSearchOptions || {};
+  const fields = getSearchFields(options.fuseOptions).map((field) => toFlexSearchField(field.name));
+
+  return {
+    tokenize: 'forward',
+    ...flexSearchOptions,
+    document: { id: 'id', index: fields, ...document }
+  };
+}
+
+/**
+ * FlexSearch: Document index over flattened field text
+ */
+const flexSearchExporter = {
+  name: 'flexsearch',
+  getConfig: (options) => ({ flexSearchOptions: getFlexSearchOptions(options) }),
+  getPath: (options) => getCompanionPath(options, 'flexsearch'),
+  async build(entries, options) {
+    const FlexSearch = await importPeerDependency('flexsearch', "format: 'flexsearch'");
+    const fields = getSearchFields(options.fuseOptions);
+    const index = new FlexSearch.Document(getFlexSearchOptions(options));
+
+    for (const entry of entries) {
+      const document = { id: entry.id };
+      for (const field of fields) {
+        document[toFlexSearchField(field.name)] = getFieldText(entry, field.name);
+      }
+      index.add(document);
+    }
+
+    // export() calls back once per key (awaited in case a release makes it async)
+    const data = {};
+    await index.export((key, value) => {
+      data[key] = value;
+    });
+    return data;
+  }
+};
+
+/**
+ * Built-in exporters by format name
+ * @type {Object<string, Object>}
+ */
+const builtInExporters = {
+  fuse: fuseExporter,
+  lunr: lunrExporter,
+  minisearch: miniSearchExporter,
+  flexsearch: flexSearchExporter
+};
+
+/**
+ * Resolve the `format` option to exporter objects.
+ * Custom exporters are objects with a `name`, a `build(entries, options)`
+ * function and optionally `getPath(options)` and `getConfig(options, path)`.
+ *
+ * @param {string|Array} [formats] - `format` option (names and/or exporter objects; default 'fuse')
+ * @returns {Array} Exporters
+ * @throws {Error} For unknown format names or malformed custom exporters
+ */
+export function resolveExporters(formats = 'fuse') {
+  return [formats].flat().map((format) => {
+    if (typeof format === 'string') {
+      const exporter = builtInExporters[format.toLowerCase()];
+      if (!exporter) {
+        const known = Object.keys(builtInExporters).join(', ');
+        throw new Error(`metalsmith-search: unknown format '${format}' (expected one of: ${known})`);
+      }
+      return exporter;
+    }
+
+    if (!format || typeof format.name !== 'string' || typeof format.build !== 'function') {
+      throw new Error('metalsmith-search: custom formats need a name and a build(entries, options) function');
+    }
+    return { getPath: (options) => getCompanionPath(options, format.name), ...format };
+  });
+}
+
+/**
+ * Describe the selected formats for the index `config` block, so a client
+ * can find each companion file and recreate each library with matching options
+ * @param {Object} options - Normalized plugin options
+ * @param {boolean} [withIndexes=true] - Whether companion files are written (false for an empty index)
+ * @returns {Object} Config fragment ({formats, indexes, fuseOptions, ...})
+ */
+export function describeExports(options, withIndexes = true) {
+  const exporters = resolveExporters(options.format);
+  const config = { formats: exporters.map((exporter) => exporter.name) };
+  const indexes = {};
+
+  for (const exporter of exporters) {
+    const path = withIndexes && options.indexPath ? exporter.getPath(options) : null;
+    Object.assign(config, exporter.getConfig?.(options, path));
+    if (path) {
+      indexes[exporter.name] = path;
+    }
+  }
+
+  if (Object.keys(indexes).length > 0) {
+    config.indexes = indexes;
+  }
+
+  return config;
+}
+
+/**
+ * Build every selected format's companion index. Indexes that reference
+ * entries by id are built from the full entries; Fuse, which references them
+ * by position, from the entries listed in the main file (the manifest when sharded).
+ * @param {Array} entries - Full entries
+ * @param {Object} options - Normalized plugin options
+ * @param {Array} [listedEntries] - Entries as written to the main index (default: entries)
+ * @returns {Promise<Array>} Outputs as {name, path, data}
+ */
+export async function runExporters(entries, options, listedEntries = entries) {
+  const outputs = [];
+
+  for (const exporter of resolveExporters(options.format)) {
+    const path = exporter.getPath(options);
+    if (path) {
+      const data = await exporter.build(exporter.byPosition ? listedEntries : entries, options);
+      outputs.push({ name: exporter.name, path, data });
+    }
+  }
+
+  return outputs;
+}
@@ -0,0 +1,187 @@
+/**
+ * Worker thread pool for page extraction
+ *
+ * Spreads extractSearchableContent calls over worker threads for large sites.
+ * Only structured-cloneable data crosses the worker boundary:
+ * - each worker receives the extraction options listed in WORKER_OPTIONS
+ * - each page is sent as its HTML text plus the frontmatter the extractor
+ *   reads (locale, lang)
+ * - callbacks stay on the main thread: `urlFormatter` is called there and
+ *   its result sent with the page, and `metadataFields` (with any
+ *   transforms) are applied to the returned entries there
+ *
+ * A custom `slugify` function cannot be sent; such builds extract on the
+ * main thread (see getWorkerFallbackReason).
+ */
+import { availableParallelism } from 'node:os';
+import { Worker } from 'node:worker_threads';
+
+/**
+ * Options the extractor reads, apart from the callbacks handled on the main thread
+ * @type {string[]}
+ */
+const WORKER_OPTIONS = [
+  'excludeSelectors',
+  'contentSelector',
+  'excludeRobotsDirectives',
+  'headMetadata',
+  'headMetadataSources',
+  'sections',
+  'sectionLevels',
+  'headingLevels',
+  'headingOutline',
+  'headingSnippetWords',
+  'slugify',
+  'injectAnchors',
+  'anchorLinks',
+  'anchorLinkClass',
+  'anchorLinkSymbol',
+  'baseUrl',
+  'basePath',
+  'trailingSlash',
+  'keepExtension',
+  'analysis',
+  'defaultLanguage',
+  'localeIndexes',
+  'localeSources',
+  'pathLocales'
+];
+
+/**
+ * Pages per message; batches keep messaging overhead low on large sites
+ * @type {number}
+ */
+const BATCH_SIZE = 20;
+
+/**
+ * With `workers: true`, start one worker per this many pages at most
+ * @type {number}
+ */
+const MIN_PAGES_PER_WORKER = 50;
+
+/**
+ * Number of workers to start
+ * @param {boolean|number} workers - `workers` option
+ * @param {number} pageCount - Pages to extract
+ * @returns {number} Pool size (0 or 1 = extract on the main thread)
+ */
+export function getPoolSize(workers, pageCount) {
+  if (typeof workers === 'number') {
+    return Math.min(Math.floor(workers), pageCount);
+  }
+  if (workers === true) {
+    // Leave one core for the main thread
+    return Math.min(availableParallelism() - 1, Math.ceil(pageCount / MIN_PAGES_PER_WORKER));
+  }
+  return 0;
+}
+
+/**
+ * Explain why a build cannot use workers
+ * @param {Array} targets - Indexes to build ({name, options})
+ * @returns {string|null} Reason, or null when workers can be used
+ */
+export function getWorkerFallbackReason(targets) {
+  const target = targets.find(({ options }) => typeof options.slugify === 'function');
+  return target ? `index '${target.name}' uses a custom slugify function, which cannot be sent to workers` : null;
+}
+
+/**
+ * Build the options a worker receives for an index
+ * @param {Object} options - Normalized index options
+ * @returns {Object} Cloneable extraction options
+ */
+function toWorkerOptions(options) {
+  return {
+    ...Object.fromEntries(WORKER_OPTIONS.filter((name) => name in options).map((name) => [name, options[name]])),
+    metadataFields: [],
+    urlFormatter: null
+  };
+}
+
+/**
+ * Describe a job as a cloneable worker task for the indexes it still misses
+ * @param {Object} job - Extraction job ({filename, missing})
+ * @param {Object} files - Metalsmith files object
+ * @param {Array} targets - Indexes to build ({name, options})
+ * @returns {Object} Task
+ */
+function toTask(job, files, targets) {
+  const file = files[job.filename];
+
+  return {
+    filename: job.filename,
+    targetIndexes: job.missing,
+    file: { contents: file.contents.toString(), locale: file.locale, lang: file.lang },
+    // urlFormatter runs here: its result (or the message it threw) replaces the callback in the worker
+    urls: job.missing.map((index) => {
+      const { urlFormatter } = targets[index].options;
+      if (typeof urlFormatter !== 'function') {
+        return null;
+      }
+      try {
+        return { url: String(urlFormatter(job.filename, file) ?? '') };
+      } catch (error) {
+        return { error: error.message };
+      }
+    })
+  };
+}
+
+/**
+ * Extract jobs on a pool of worker threads
+ * @param {Array} jobs - Extraction jobs ({filename, missing}) in file order
+ * @param {Object} files - Metalsmith files object
+ * @param {Array} targets - Indexes to build ({name, options})
+ * @param {number} size - Number of workers
+ * @returns {Promise<Array>} Results in job order: {entries, issues (per missing index), contents?}
+ */
+export async function extractInWorkers(jobs, files, targets, size) {
+  const workerTargets = targets.map(({ name, options }) => ({ name, options: toWorkerOptions(options) }));
+  const results = new Array(jobs.length);
+  const pool = Array.from(
+    { length: size },
+    () => new Worker(new URL('./extraction-worker.js', import.meta.url), { workerData: { targets: workerTargets } })
+  );
+
+  let next = 0;
+  const runWorker = (worker) =>
+    new Promise((resolve, reject) => {
+      const sendBatch = () => {
+        if (next >= jobs.length) {
+          resolve();
+          return;
+        }
+        const start = next;
+        next = Math.min(next + BATCH_SIZE, jobs.length);
+        worker.postMessage({ start, tasks: jobs.slice(start, next).map((job) => toTask(job, files, targets)) });
+      };
+
+      worker.on('message', ({ start, results: batch }) => {
+        batch.forEach((result, offset) => {
+          results[start + offset] = result;
+        });
+        sendBatch();
+      });
+      worker.once('error', reject);
+      worker.once('exit', (code) => {
+        if (next < jobs.length || code !== 0) {
+          reject(new Error(`metalsmith-search: extraction worker exited early (code ${code})`));
+        }
+      });
+
+      sendBatch();
+    });
+
+  try {
+    await Promise.all(pool.map(runWorker));
+  } finally {
+    await Promise.all(pool.map((worker) => worker.terminate()));
+  }
+
+  return results.map(({ entries, issues, contents }) => ({
+    entries,
+    issues,
+    ...(contents !== undefined && { contents: Buffer.from(contents) })
+  }));
+}
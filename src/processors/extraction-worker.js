@@ -0,0 +1,50 @@
+/**
+ * Extraction worker entry point (see extraction-pool.js)
+ * Receives batches of pages and returns their entries per index.
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+import { extractFile } from './file-processor.js';
+
+// Debug output stays on the main thread, which logs per-build summaries
+const silent = () => {};
+const metalsmith = { debug: () => silent };
+
+/**
+ * Recreate a page's urlFormatter from the main thread's result, so a throw
+ * fails the page inside extraction just as it does on the main thread
+ * @param {Object|null} route - {url} or {error} from extraction-pool, null without urlFormatter
+ * @returns {Function|null} urlFormatter replacement
+ */
+function toUrlFormatter(route) {
+  if (route === null) {
+    return null;
+  }
+  return () => {
+    if (route.error !== undefined) {
+      throw new Error(route.error);
+    }
+    return route.url;
+  };
+}
+
+/**
+ * Extract one page for the indexes listed in its task
+ * @param {Object} task - Task from extraction-pool ({filename, targetIndexes, file, urls})
+ * @returns {Object} {entries, issues (per task index), contents? (rewritten HTML)}
+ */
+function runTask(task) {
+  const file = { ...task.file, contents: Buffer.from(task.file.contents) };
+  const original = file.contents;
+  const targets = task.targetIndexes.map((index, position) => {
+    const { name, options } = workerData.targets[index];
+    const urlFormatter = toUrlFormatter(task.urls[position]);
+    return { name, options: urlFormatter ? { ...options, urlFormatter } : options };
+  });
+
+  const { entries, issues } = extractFile(task.filename, { [task.filename]: file }, targets, silent, metalsmith);
+  return { entries, issues, ...(file.contents !== original && { contents: file.contents.toString() }) };
+}
+
+parentPort.on('message', ({ start, tasks }) => {
+  parentPort.postMessage({ start, results: tasks.map(runTask) });
+});
@@ -3,42 +3,252 @@
  * Simplified HTML-first processing with no binary detection or priority sorting
  */
 
-import { extractSearchableContent } from './content-extractor.js';
+import { extractSearchableContent, parseHtmlFile } from './content-extractor.js';
+import { buildCollectionLookup, getFileCollections, tagCollectionEntries } from './collections.js';
+import { getCachedExtraction, getPageKey, storeExtraction } from '../utils/extraction-cache.js';
+import { extractFileMetadata } from '../utils/file-metadata.js';
+import { extractInWorkers, getPoolSize, getWorkerFallbackReason } from './extraction-pool.js';
+import { recordIssues } from '../utils/extraction-report.js';
 
 /**
- * Process a single file and extract search entries
+ * Extract a file for several indexes.
+ * The HTML is parsed once; when several indexes share the file, each
+ * extracts from its own copy of the parsed page (extraction removes elements).
+ * Also runs inside extraction workers.
  * @param {string} filename - Filename to process
  * @param {Object} files - Metalsmith files object
- * @param {Object} options - Processing options
+ * @param {Array} targets - Indexes to extract for ({name, options})
  * @param {Function} debug - Debug function
  * @param {Object} metalsmith - Metalsmith instance
- * @returns {Array} Array of search entries
+ * @returns {Object} {entries, issues}: search entries and extraction issues per target, in target order
  */
-function processFile(filename, files, options, debug, metalsmith) {
+export function extractFile(filename, files, targets, debug, metalsmith) {
   const file = files[filename];
-  const fileSearchEntries = extractSearchableContent(file, filename, options, metalsmith);
-  debug(`Successfully processed: ${filename} (${fileSearchEntries.length} entries)`);
-  return fileSearchEntries;
+  const issues = targets.map(() => []);
+
+  if (targets.length === 1) {
+    const fileSearchEntries = extractSearchableContent(file, filename, targets[0].options, metalsmith, null, issues[0]);
+    debug(`Successfully processed: ${filename} (${fileSearchEntries.length} entries)`);
+    return { entries: [fileSearchEntries], issues };
+  }
+
+  const parseIssues = [];
+  const $page = parseHtmlFile(file, filename, metalsmith.debug('metalsmith-search:extractor'), parseIssues);
+  const entries = targets.map((target, index) => {
+    if (!$page) {
+      issues[index].push(...parseIssues);
+      return [];
+    }
+    const parsedPage = $page.load($page.root().clone().get(0));
+    const fileSearchEntries = extractSearchableContent(
+      file,
+      filename,
+      target.options,
+      metalsmith,
+      parsedPage,
+      issues[index]
+    );
+    debug(`Successfully processed: ${filename} for index '${target.name}' (${fileSearchEntries.length} entries)`);
+    return fileSearchEntries;
+  });
+
+  return { entries, issues };
 }
 
 /**
- * Process all files and collect search entries
- * @param {string[]} filesToProcess - Array of filenames to process
+ * Plan a file's extraction: reuse cached entries where the page and the
+ * index options are unchanged, and list the indexes that still need it
+ * @param {string} filename - Filename to process
+ * @param {Array} targetIndexes - Positions of the indexes including this file
  * @param {Object} files - Metalsmith files object
- * @param {Object} options - Processing options
+ * @param {Array} targets - Indexes to build ({name, options})
+ * @param {Object|null} cache - Extraction cache from loadExtractionCache
+ * @returns {Object} Job {filename, targetIndexes, keys, results (null until extracted), issues, missing}
+ */
+function createJob(filename, targetIndexes, files, targets, cache) {
+  const job = {
+    filename,
+    targetIndexes,
+    keys: [],
+    results: targetIndexes.map(() => null),
+    issues: targetIndexes.map(() => []),
+    missing: targetIndexes
+  };
+  if (!cache) {
+    return job;
+  }
+
+  // Keys are taken before extraction, which may rewrite file.contents (injectAnchors)
+  job.keys = targetIndexes.map((index) => getPageKey(filename, files[filename], targets[index].options));
+  job.results = targetIndexes.map((index, position) => {
+    const cached = getCachedExtraction(cache, targets[index].name, filename, job.keys[position]);
+    if (cached?.contents !== undefined) {
+      files[filename].contents = Buffer.from(cached.contents);
+    }
+    job.issues[position] = cached?.issues || [];
+    return cached ? cached.entries : null;
+  });
+  job.missing = targetIndexes.filter((_index, position) => !job.results[position]);
+
+  return job;
+}
+
+/**
+ * Extract jobs one after another on the main thread
+ * @param {Array} jobs - Jobs with missing indexes
+ * @param {Object} files - Metalsmith files object
+ * @param {Array} targets - Indexes to build ({name, options})
  * @param {Function} debug - Debug function
  * @param {Object} metalsmith - Metalsmith instance
- * @returns {Array} All search entries from all files
+ * @returns {Array} Results in job order: {entries, issues (per missing index), contents?}
  */
-export function processAllFiles(filesToProcess, files, options, debug, metalsmith) {
-  const allSearchEntries = [];
+function extractOnMainThread(jobs, files, targets, debug, metalsmith) {
+  return jobs.map(({ filename, missing }) => {
+    const original = files[filename].contents;
+    const { entries, issues } = extractFile(
+      filename,
+      files,
+      missing.map((index) => targets[index]),
+      debug,
+      metalsmith
+    );
+    const contents = files[filename].contents;
+    return { entries, issues, ...(contents !== original && { contents }) };
+  });
+}
+
+/**
+ * Extract jobs on worker threads when `workers` allows it, otherwise on the main thread
+ * @param {Array} jobs - Jobs with missing indexes
+ * @param {Object} files - Metalsmith files object
+ * @param {Array} targets - Indexes to build ({name, options})
+ * @param {boolean|number} workers - `workers` option
+ * @param {Function} debug - Debug function
+ * @param {Object} metalsmith - Metalsmith instance
+ * @returns {Promise<Array>} Results in job order: {entries, issues (per missing index), contents?}
+ */
+async function extractJobs(jobs, files, targets, workers, debug, metalsmith) {
+  const size = getPoolSize(workers, jobs.length);
+  const fallbackReason = size > 1 ? getWorkerFallbackReason(targets) : null;
+  if (size <= 1 || fallbackReason) {
+    if (fallbackReason) {
+      debug(`Extracting on the main thread: ${fallbackReason}`);
+    }
+    return extractOnMainThread(jobs, files, targets, debug, metalsmith);
+  }
+
+  debug(`Extracting ${jobs.length} files on ${size} worker threads`);
+  const results = await extractInWorkers(jobs, files, targets, size);
+
+  // metadataFields may hold transform callbacks, so they are applied here rather than in the workers
+  return results.map(({ entries, issues, contents }, position) => {
+    const { filename, missing } = jobs[position];
+    if (contents) {
+      files[filename].contents = contents;
+    }
+    return {
+      contents,
+      issues,
+      entries: entries.map((fileEntries, index) => {
+        const { metadataFields } = targets[missing[index]].options;
+        if (!metadataFields || metadataFields.length === 0 || fileEntries.length === 0) {
+          return fileEntries;
+        }
+        // A throwing transform fails the page, as it does inside extractSearchableContent
+        try {
+          const metadata = extractFileMetadata(files[filename], metadataFields, debug);
+          return fileEntries.map((entry) => ({ ...entry, ...metadata }));
+        } catch (error) {
+          debug(`Error extracting content from ${filename}:`, error);
+          issues[index].push({ type: 'failed', message: error.message });
+          return [];
+        }
+      })
+    };
+  });
+}
+
+/**
+ * Process all files and collect search entries for each index.
+ * Entries keep file order whether pages come from the cache, the main
+ * thread or worker threads.
+ * @param {Array} targets - Indexes to build ({name, options, filesToProcess})
+ * @param {Object} files - Metalsmith files object
+ * @param {Function} debug - Debug function
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {Object} [settings] - Build-wide settings
+ * @param {Object|null} [settings.cache] - Extraction cache from loadExtractionCache
+ * @param {boolean|number} [settings.workers] - `workers` option
+ * @param {Object|null} [settings.report] - Extraction report from createExtractionReport, filled with page issues
+ * @returns {Promise<Array>} Search entries per target, in target order
+ */
+export async function processAllFiles(
+  targets,
+  files,
+  debug,
+  metalsmith,
+  { cache = null, workers = false, report = null } = {}
+) {
+  const entriesByTarget = targets.map(() => []);
+
+  // Visit each file once, in first-seen order, with the indexes that include it
+  const targetsByFile = new Map();
+  targets.forEach((target, index) => {
+    for (const filename of target.filesToProcess) {
+      if (!targetsByFile.has(filename)) {
+        targetsByFile.set(filename, []);
+      }
+      targetsByFile.get(filename).push(index);
+    }
+  });
+
+  // Collection membership is looked up once for the whole build
+  const collectionLookup = targets.some((target) => target.options.collections)
+    ? buildCollectionLookup(metalsmith)
+    : null;
+
+  const jobs = [...targetsByFile].map(([filename, targetIndexes]) =>
+    createJob(filename, targetIndexes, files, targets, cache)
+  );
+  const pending = jobs.filter((job) => job.missing.length > 0);
+  const extracted = await extractJobs(pending, files, targets, workers, debug, metalsmith);
+
+  pending.forEach((job, position) => {
+    const { entries, issues, contents } = extracted[position];
+    job.missing.forEach((index, offset) => {
+      const slot = job.targetIndexes.indexOf(index);
+      job.results[slot] = entries[offset];
+      job.issues[slot] = issues[offset];
+      if (cache) {
+        const name = targets[index].name;
+        storeExtraction(cache, name, job.filename, job.keys[slot], entries[offset], contents, issues[offset]);
+      }
+    });
+  });
+
+  for (const { filename, targetIndexes, results, issues } of jobs) {
+    targetIndexes.forEach((index, position) => {
+      if (report) {
+        recordIssues(report, filename, targets[index].name, issues[position]);
+      }
+
+      const { options } = targets[index];
+      const entries = options.collections
+        ? tagCollectionEntries(
+            results[position],
+            getFileCollections(files[filename], collectionLookup, options),
+            options
+          )
+        : results[position];
+      entriesByTarget[index].push(...entries);
+    });
+  }
 
-  // Cheerio parsing is synchronous and fast — no batching needed
-  for (const filename of filesToProcess) {
-    const entries = processFile(filename, files, options, debug, metalsmith);
-    allSearchEntries.push(...entries);
+  if (report) {
+    report.pages += targetsByFile.size;
   }
 
-  debug(`Extracted ${allSearchEntries.length} total search entries`);
-  return allSearchEntries;
+  const total = entriesByTarget.reduce((sum, entries) => sum + entries.length, 0);
+  debug(`Extracted ${total} total search entries from ${targetsByFile.size} files`);
+  return entriesByTarget;
 }
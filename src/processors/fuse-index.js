@@ -0,0 +1,40 @@
+/**
+ * Pre-built Fuse.js index processor
+ *
+ * Serializes a Fuse.js index at build time so the browser can call
+ * `Fuse.parseIndex()` instead of indexing every entry on page load.
+ * Fuse.js is an optional peer dependency, loaded only when `fuseIndex` is enabled.
+ */
+import { importPeerDependency } from '../utils/peer-dependency.js';
+
+/**
+ * Resolve where the pre-built Fuse index is written
+ * @param {Object} options - Normalized plugin options
+ * @returns {string|null} Output path, or null when disabled
+ */
+export function getFuseIndexPath(options) {
+  if (!options.fuseIndex) {
+    return null;
+  }
+
+  if (typeof options.fuseIndex === 'string') {
+    return options.fuseIndex;
+  }
+
+  // search-index.json -> search-index.fuse.json
+  return options.indexPath.replace(/(\.json)?$/, '.fuse.json');
+}
+
+/**
+ * Build the serialized Fuse index for a set of index entries
+ * @param {Array} entries - Optimized index entries (as written to the main index)
+ * @param {Object} fuseOptions - Fuse.js options (keys, fieldNormWeight, ...)
+ * @returns {Promise<Object>} Serialized index (`Fuse.createIndex(...).toJSON()`)
+ */
+export async function createFuseIndex(entries, fuseOptions) {
+  const Fuse = await importPeerDependency('fuse.js', 'the fuseIndex option');
+  const indexOptions =
+    fuseOptions.fieldNormWeight === undefined ? {} : { fieldNormWeight: fuseOptions.fieldNormWeight };
+
+  return Fuse.createIndex(fuseOptions.keys || [], entries, indexOptions).toJSON();
+}
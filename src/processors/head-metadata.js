@@ -0,0 +1,164 @@
+/**
+ * Head metadata processor
+ *
+ * Harvests structured metadata from the rendered document head:
+ * - `meta`: <meta name="description|keywords">, <link rel="canonical">
+ * - `opengraph`: og:description, og:url, og:image, article:published_time
+ * - `jsonld`: <script type="application/ld+json"> blocks
+ *
+ * Must run before scripts are stripped from the Cheerio document.
+ */
+import { collapseWhitespace } from '../utils/text-helpers.js';
+
+/**
+ * Fields harvested from the head, in output order
+ * @type {string[]}
+ */
+export const HEAD_METADATA_FIELDS = Object.freeze([
+  'description',
+  'url',
+  'image',
+  'published',
+  'keywords',
+  'schemaType'
+]);
+
+/**
+ * Head fields kept as entry fields; description and url are folded into
+ * excerpt/url by the extractor
+ * @type {string[]}
+ */
+export const HEAD_METADATA_EXTRA_FIELDS = Object.freeze(
+  HEAD_METADATA_FIELDS.filter((field) => field !== 'description' && field !== 'url')
+);
+
+/**
+ * Per-source field readers
+ * @type {Object<string, Function>}
+ */
+const sourceReaders = {
+  meta: readMetaTags,
+  opengraph: readOpenGraph,
+  jsonld: readJsonLd
+};
+
+/**
+ * Head metadata source names ('meta', 'opengraph', 'jsonld')
+ * @type {string[]}
+ */
+export const HEAD_METADATA_SOURCES = Object.freeze(Object.keys(sourceReaders));
+
+/**
+ * Extract head metadata from a parsed page.
+ * Each source is read independently; for every field the first source in
+ * `sources` that provides a value wins.
+ *
+ * @param {Object} $ - Cheerio instance
+ * @param {string[]} sources - Source names in precedence order ('meta', 'opengraph', 'jsonld')
+ * @param {Function} debug - Debug logging function
+ * @returns {Object} Harvested fields (only those found)
+ */
+export function extractHeadMetadata($, sources, debug) {
+  const found = sources.filter((source) => sourceReaders[source]).map((source) => sourceReaders[source]($, debug));
+  const metadata = {};
+
+  for (const field of HEAD_METADATA_FIELDS) {
+    const match = found.find((values) => values[field] !== undefined);
+    if (match) {
+      metadata[field] = match[field];
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Read a trimmed attribute value, treating empty strings as missing
+ * @param {Object} $el - Cheerio selection
+ * @param {string} attr - Attribute name
+ * @returns {string|undefined} Attribute value
+ */
+function attrValue($el, attr) {
+  const value = $el.first().attr(attr);
+  return value && value.trim() ? collapseWhitespace(value) : undefined;
+}
+
+/**
+ * Split a comma-separated keyword string into a list
+ * @param {string|string[]|undefined} value - Keywords
+ * @returns {string[]|undefined} Keyword list, or undefined if empty
+ */
+function toKeywordList(value) {
+  const list = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((keyword) => String(keyword).trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : undefined;
+}
+
+/**
+ * Read standard meta tags and the canonical link
+ * @param {Object} $ - Cheerio instance
+ * @returns {Object} Fields found
+ */
+function readMetaTags($) {
+  return {
+    description: attrValue($('meta[name="description"]'), 'content'),
+    url: attrValue($('link[rel="canonical"]'), 'href'),
+    keywords: toKeywordList(attrValue($('meta[name="keywords"]'), 'content'))
+  };
+}
+
+/**
+ * Read Open Graph properties (accepts both `property=` and `name=`)
+ * @param {Object} $ - Cheerio instance
+ * @returns {Object} Fields found
+ */
+function readOpenGraph($) {
+  const og = (property) => attrValue($(`meta[property="${property}"], meta[name="${property}"]`), 'content');
+
+  return {
+    description: og('og:description'),
+    url: og('og:url'),
+    image: og('og:image'),
+    published: og('article:published_time')
+  };
+}
+
+/**
+ * Read the first JSON-LD node that declares an `@type`.
+ * Top-level arrays and `@graph` containers are flattened; blocks that fail
+ * to parse are skipped.
+ * @param {Object} $ - Cheerio instance
+ * @param {Function} debug - Debug logging function
+ * @returns {Object} Fields found
+ */
+function readJsonLd($, debug) {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((_index, el) => {
+    try {
+      const data = JSON.parse($(el).text());
+      for (const node of [data].flat()) {
+        nodes.push(...(Array.isArray(node?.['@graph']) ? node['@graph'] : [node]));
+      }
+    } catch (error) {
+      debug(`Ignoring invalid JSON-LD block: ${error.message}`);
+    }
+  });
+
+  const node = nodes.find((candidate) => candidate?.['@type']);
+  if (!node) {
+    return {};
+  }
+
+  const image = [node.image].flat()[0];
+
+  return {
+    description: typeof node.description === 'string' ? collapseWhitespace(node.description) : undefined,
+    url: typeof node.url === 'string' ? node.url : undefined,
+    image: typeof image === 'string' ? image : image?.url,
+    published: node.datePublished,
+    keywords: node.keywords === undefined ? undefined : toKeywordList(node.keywords),
+    schemaType: node['@type']
+  };
+}
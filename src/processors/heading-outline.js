@@ -0,0 +1,92 @@
+/**
+ * Heading outline processor
+ *
+ * Turns the flat heading list of a page into an outline: every heading
+ * gets a snippet of the text beneath it, the word offset at which it
+ * starts in the page content, and parent/children references so clients
+ * can render a table of contents or show the snippet of a matched section.
+ */
+import { collapseWhitespace, countWords, createSnippet } from '../utils/text-helpers.js';
+
+/**
+ * Numeric depth of a heading level ('h2' -> 2)
+ * @param {string} level - Heading level
+ * @returns {number} Depth
+ */
+function getDepth(level) {
+  return Number(level.slice(1));
+}
+
+/**
+ * Build outline records for the headings listed in `options.headingLevels`.
+ *
+ * Walks the content region in document order. A heading's snippet is the
+ * text that follows it up to the next outlined heading; headings at levels
+ * left out of the outline stay part of that text. `wordOffset` counts the
+ * page-content words before the heading, so `content.split(' ')[wordOffset]`
+ * is the first word of its title. `parent` is the id of the closest
+ * preceding heading of a higher level (null at the top), and `children`
+ * lists the ids of the headings directly beneath it.
+ *
+ * @param {Object} $content - Content region to walk (excluded selectors already removed)
+ * @param {Array} headingRecords - Records from extractAndProcessHeadings ({el, level, id, title})
+ * @param {Object} options - Normalized plugin options
+ * @returns {Array} Headings as {level, id, title, wordOffset, snippet, parent, children}
+ */
+export function buildHeadingOutline($content, headingRecords, options) {
+  const levels = new Set(options.headingLevels);
+  const outlined = new Map(
+    headingRecords.filter((record) => levels.has(record.level)).map((record) => [record.el, record])
+  );
+
+  const blocks = []; // {heading, text} per outlined heading, in document order
+  const stack = []; // Open ancestors of the next heading
+  let pending = []; // Text since the last outlined heading, for word offsets
+  let wordOffset = 0;
+
+  const walk = (node, inHeading) => {
+    if (outlined.has(node)) {
+      wordOffset += countWords(collapseWhitespace(pending.join('')));
+      pending = [];
+
+      const { level, id, title } = outlined.get(node);
+      while (stack.length > 0 && getDepth(stack.at(-1).level) >= getDepth(level)) {
+        stack.pop();
+      }
+      const parent = stack.at(-1);
+
+      const heading = { level, id, title, wordOffset, snippet: '', parent: parent ? parent.id : null, children: [] };
+      parent?.children.push(id);
+      stack.push(heading);
+      blocks.push({ heading, text: [] });
+
+      // The title counts towards later word offsets but is not part of the snippet
+      for (const child of node.children || []) {
+        walk(child, true);
+      }
+      return;
+    }
+
+    if (node.type === 'text') {
+      pending.push(node.data);
+      if (blocks.length > 0 && !inHeading) {
+        blocks.at(-1).text.push(node.data);
+      }
+      return;
+    }
+
+    for (const child of node.children || []) {
+      walk(child, inHeading);
+    }
+  };
+
+  for (const root of $content.toArray()) {
+    walk(root, false);
+    pending.push(' '); // Content roots are joined with a space in the page text
+  }
+
+  return blocks.map(({ heading, text }) => ({
+    ...heading,
+    snippet: createSnippet(collapseWhitespace(text.join('')), options.headingSnippetWords)
+  }));
+}
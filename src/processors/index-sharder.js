@@ -0,0 +1,180 @@
+/**
+ * Index sharding processor
+ *
+ * Splits a search index into a small manifest plus lazily loaded chunk files
+ * so large sites don't download every page's full content before the first
+ * search. The manifest lists each entry's id, type, url and title together
+ * with the shard that holds the full entry.
+ */
+import { normalizeBasePath } from '../utils/url-builder.js';
+
+/**
+ * Built-in strategies mapping an entry to a shard key
+ * @type {Object<string, Function>}
+ */
+const shardKeyStrategies = {
+  path: (entry, options) => getPathKey(entry.url, options.shardPathDepth, options.basePath),
+  collection: (entry) => [entry.collection].flat().find(Boolean) || 'uncategorized'
+};
+
+/**
+ * Built-in shardBy strategies ('size' groups by byte size instead of a key)
+ * @type {string[]}
+ */
+export const SHARD_STRATEGIES = Object.freeze(['size', ...Object.keys(shardKeyStrategies)]);
+
+/**
+ * Get the leading path segments of an entry URL
+ * @param {string} url - Entry URL (site-relative or absolute)
+ * @param {number} depth - Number of path segments to keep
+ * @param {string} [basePath] - Site base path, not part of the key
+ * @returns {string} Path key (e.g. 'docs' for /docs/intro), or 'root' for the home page
+ */
+function getPathKey(url, depth, basePath) {
+  const base = normalizeBasePath(basePath);
+  let path = String(url || '/')
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '') // drop scheme + host of absolute URLs
+    .replace(/[?#].*$/, '');
+  if (base && (path === base || path.startsWith(`${base}/`))) {
+    path = path.slice(base.length);
+  }
+
+  return path.split('/').filter(Boolean).slice(0, depth).join('/') || 'root';
+}
+
+/**
+ * Group entries into named shards
+ * @param {Array} entries - Optimized index entries
+ * @param {Object} options - Normalized plugin options
+ * @returns {Array} Shards as {name, entries}, in order of first appearance
+ */
+function groupEntries(entries, options) {
+  if (options.shardBy === 'size') {
+    return groupBySize(entries, options.shardSize);
+  }
+
+  const getKey = typeof options.shardBy === 'function' ? options.shardBy : shardKeyStrategies[options.shardBy];
+  if (!getKey) {
+    throw new Error(`metalsmith-search: unknown shardBy strategy '${options.shardBy}'`);
+  }
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const name = String(getKey(entry, options) || 'default');
+    if (!groups.has(name)) {
+      groups.set(name, []);
+    }
+    groups.get(name).push(entry);
+  }
+
+  return [...groups].map(([name, groupEntries]) => ({ name, entries: groupEntries }));
+}
+
+/**
+ * Pack entries into shards of roughly `maxBytes` serialized JSON each.
+ * An entry larger than the limit gets a shard of its own.
+ * @param {Array} entries - Optimized index entries
+ * @param {number} maxBytes - Target shard size in bytes
+ * @returns {Array} Shards as {name, entries}
+ */
+function groupBySize(entries, maxBytes) {
+  const shards = [];
+  let current = null;
+
+  for (const entry of entries) {
+    const bytes = Buffer.byteLength(JSON.stringify(entry));
+    if (!current || (current.bytes + bytes > maxBytes && current.entries.length > 0)) {
+      current = { name: String(shards.length), entries: [], bytes: 0 };
+      shards.push(current);
+    }
+    current.entries.push(entry);
+    current.bytes += bytes;
+  }
+
+  return shards.map(({ name, entries: shardEntries }) => ({ name, entries: shardEntries }));
+}
+
+/**
+ * Reduce a shard name to characters that are safe in a file name
+ * @param {string} name - Shard name (e.g. 'docs/api')
+ * @returns {string} File-safe name (e.g. 'docs-api')
+ */
+function toFileSafeName(name) {
+  const safe = name
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return safe || 'shard';
+}
+
+/**
+ * Create a unique shard file path next to the manifest
+ * @param {string} indexPath - Manifest path (e.g. 'search-index.json')
+ * @param {string} name - Shard name
+ * @param {Set} usedPaths - Paths already assigned
+ * @returns {string} Shard path (e.g. 'search-index.docs.json')
+ */
+function getShardPath(indexPath, name, usedPaths) {
+  const base = indexPath.replace(/\.json$/, '');
+  const slug = toFileSafeName(name);
+
+  let path = `${base}.${slug}.json`;
+  for (let counter = 1; usedPaths.has(path); counter++) {
+    path = `${base}.${slug}-${counter}.json`;
+  }
+  usedPaths.add(path);
+  return path;
+}
+
+/**
+ * Split a complete search index into a manifest and shard files.
+ *
+ * @param {Object} searchIndex - Index from createSearchIndex
+ * @param {Object} options - Normalized plugin options (shardBy, shardSize, shardPathDepth, indexPath)
+ * @param {string[]} [reservedPaths] - Companion file paths shards must not take (e.g. search-index.links.json)
+ * @returns {Object} {manifest, shards: [{path, index}]}
+ */
+export function createShardedIndex(searchIndex, options, reservedPaths = []) {
+  const usedPaths = new Set([options.indexPath, ...reservedPaths]);
+  const groups = groupEntries(searchIndex.entries, options).map((group) => ({
+    ...group,
+    path: getShardPath(options.indexPath, group.name, usedPaths)
+  }));
+
+  const shards = groups.map((group) => ({
+    path: group.path,
+    index: {
+      version: searchIndex.version,
+      format: 'shard',
+      generator: searchIndex.generator,
+      shard: group.name,
+      totalEntries: group.entries.length,
+      entries: group.entries
+    }
+  }));
+
+  const manifest = {
+    version: searchIndex.version,
+    format: 'sharded',
+    generator: searchIndex.generator,
+    ...(searchIndex.generated && { generated: searchIndex.generated }),
+    totalEntries: searchIndex.totalEntries,
+    ...(searchIndex.contentHash && { contentHash: searchIndex.contentHash }),
+    config: searchIndex.config,
+    stats: searchIndex.stats,
+
+    // Shard files, fetched on demand by the client
+    shards: groups.map((group) => ({
+      name: group.name,
+      path: group.path,
+      totalEntries: group.entries.length
+    })),
+
+    // Lightweight listing for a quick first pass; `shard` indexes into `shards`
+    entries: groups.flatMap((group, shard) =>
+      group.entries.map(({ id, type, url, title }) => ({ id, type, url, title, shard }))
+    )
+  };
+
+  return { manifest, shards };
+}
@@ -0,0 +1,112 @@
+/**
+ * Deep link validation
+ *
+ * Cross-checks what the index advertises against the build output: every
+ * entry URL must map to a file Metalsmith will write, and every heading id
+ * (section URLs and page `headings`) must exist as an element id in that
+ * file. Catches slug mismatches between the index and whatever rendered
+ * the heading ids (e.g. markdown-it-anchor with different slug rules).
+ */
+import * as cheerio from 'cheerio';
+import { toSitePath } from '../utils/url-builder.js';
+
+/**
+ * Find the output file a site path is served from
+ * - / -> index.html
+ * - /foo/ -> foo/index.html or foo.html
+ * - /foo -> foo, foo.html or foo/index.html
+ * @param {string} path - Site-relative path without fragment
+ * @param {Object} files - Metalsmith files object
+ * @returns {string|null} Matching file path, or null
+ */
+function resolveOutputFile(path, files) {
+  let relative = path.replace(/^\/+/, '');
+  try {
+    relative = decodeURIComponent(relative);
+  } catch {
+    // Keep malformed escapes as written
+  }
+
+  const candidates =
+    relative === '' || relative.endsWith('/')
+      ? [`${relative}index.html`, `${relative.slice(0, -1)}.html`]
+      : [relative, `${relative}.html`, `${relative}/index.html`];
+
+  return candidates.find((candidate) => candidate && files[candidate]) || null;
+}
+
+/**
+ * Collect the link targets of a page: element ids and legacy `<a name>` anchors
+ * @param {Object} file - Metalsmith file object
+ * @returns {Set<string>} Fragment targets
+ */
+function collectAnchorTargets(file) {
+  const $ = cheerio.load(file.contents.toString());
+  return new Set([
+    ...$('[id]')
+      .toArray()
+      .map((el) => el.attribs.id),
+    ...$('a[name]')
+      .toArray()
+      .map((el) => el.attribs.name)
+  ]);
+}
+
+/**
+ * Validate every deep link in a set of entries.
+ *
+ * Each distinct link is checked once. URLs on another host (e.g. a canonical
+ * URL from head metadata) cannot be checked against this build and are
+ * counted as skipped.
+ *
+ * @param {Array} entries - Search entries from processAllFiles
+ * @param {Object} files - Metalsmith files object (with any injected anchors)
+ * @param {Object} options - Normalized plugin options
+ * @returns {Object} Report {checked, skipped, broken: [{entry, url, file, reason}]}
+ */
+export function validateDeepLinks(entries, files, options) {
+  const targetsByFile = new Map();
+  const seen = new Set();
+  const broken = [];
+  let skipped = 0;
+
+  const check = (entryId, url) => {
+    if (seen.has(url)) {
+      return;
+    }
+    seen.add(url);
+
+    const sitePath = toSitePath(url, options);
+    if (sitePath === null) {
+      skipped++;
+      return;
+    }
+
+    const [path, fragment] = sitePath.replace(/\?[^#]*/, '').split('#');
+    const file = resolveOutputFile(path, files);
+    if (!file) {
+      broken.push({ entry: entryId, url, file: null, reason: 'missing-page' });
+      return;
+    }
+    if (!fragment) {
+      return;
+    }
+
+    if (!targetsByFile.has(file)) {
+      targetsByFile.set(file, collectAnchorTargets(files[file]));
+    }
+    if (!targetsByFile.get(file).has(fragment)) {
+      broken.push({ entry: entryId, url, file, reason: 'missing-anchor' });
+    }
+  };
+
+  for (const entry of entries) {
+    check(entry.id, entry.url);
+    const pageUrl = String(entry.url || '').split('#')[0];
+    for (const heading of entry.headings || []) {
+      check(entry.id, `${pageUrl}#${heading.id}`);
+    }
+  }
+
+  return { checked: seen.size - skipped, skipped, broken };
+}
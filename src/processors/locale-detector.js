@@ -0,0 +1,97 @@
+/**
+ * Locale detection processor
+ *
+ * Determines a page's language for text analysis and per-locale indexes.
+ * Sources are tried in the order given by `options.localeSources`:
+ * - html: the `<html lang>` attribute
+ * - frontmatter: a `locale` or `lang` property on the Metalsmith file
+ * - path: a leading path segment that names a known language (`de/`, `pt-br/`)
+ *
+ * A path segment only counts when its language is listed in `options.locales`
+ * or found on the index's pages through the html/frontmatter sources, so folders
+ * like `api/` or `faq/` are not taken for languages.
+ */
+import { getPrimaryLanguage } from '../utils/text-analysis.js';
+
+// Two or three letter language, optional region/script subtag
+const LOCALE_SEGMENT = /^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})?$/i;
+
+// `<html lang>` read without parsing the page, for collectKnownLanguages
+const HTML_LANG = /<html\b[^>]*?\slang\s*=\s*["']?([^"'\s>]+)/i;
+
+/**
+ * Readers returning a raw language tag per source
+ * @type {Object<string, Function>}
+ */
+const localeReaders = {
+  html: ($) => $('html').attr('lang'),
+  frontmatter: (_$, file) => file?.locale ?? file?.lang,
+  path: (_$, _file, filename, options) => {
+    const [segment] = filename.replace(/\\/g, '/').split('/');
+    const known =
+      filename.includes('/') &&
+      LOCALE_SEGMENT.test(segment) &&
+      (options.pathLocales || []).includes(getPrimaryLanguage(segment));
+    return known ? segment : '';
+  }
+};
+
+/**
+ * Locale source names ('html', 'frontmatter', 'path')
+ * @type {string[]}
+ */
+export const LOCALE_SOURCES = Object.freeze(Object.keys(localeReaders));
+
+/**
+ * Raw language tag readers working on the unparsed page, for collectKnownLanguages
+ * @type {Object<string, Function>}
+ */
+const rawLocaleReaders = {
+  html: (file) => HTML_LANG.exec(String(file?.contents ?? ''))?.[1],
+  frontmatter: (file) => localeReaders.frontmatter(null, file)
+};
+
+/**
+ * List the languages a leading path segment may name: the configured
+ * `locales` plus every language found through the html and frontmatter sources
+ * @param {Object} files - Metalsmith files object
+ * @param {string[]} filenames - Pages of the index
+ * @param {Object} options - Normalized plugin options (locales, localeSources)
+ * @returns {string[]} Primary language subtags, sorted
+ */
+export function collectKnownLanguages(files, filenames, options) {
+  const languages = new Set(options.locales.map(getPrimaryLanguage));
+  const sources = options.localeSources.filter((source) => source in rawLocaleReaders);
+
+  for (const filename of filenames) {
+    for (const source of sources) {
+      const language = getPrimaryLanguage(rawLocaleReaders[source](files[filename]));
+      if (language) {
+        languages.add(language);
+        break;
+      }
+    }
+  }
+
+  languages.delete('');
+  return [...languages].sort();
+}
+
+/**
+ * Detect a page's language
+ * @param {Object} $ - Cheerio instance for the page
+ * @param {Object} file - Metalsmith file object
+ * @param {string} filename - File path relative to the source directory
+ * @param {Object} options - Normalized plugin options (localeSources, pathLocales, defaultLanguage)
+ * @returns {string} Primary language subtag (e.g. 'de'), or defaultLanguage if none is found
+ */
+export function detectPageLanguage($, file, filename, options) {
+  for (const source of options.localeSources || []) {
+    const language = getPrimaryLanguage(localeReaders[source]?.($, file, filename, options));
+    if (language) {
+      return language;
+    }
+  }
+
+  return options.defaultLanguage;
+}
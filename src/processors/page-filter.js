@@ -0,0 +1,70 @@
+/**
+ * Page exclusion processor
+ *
+ * Keeps private and unpublished pages out of the index:
+ * - frontmatter rules (`draft: true`, `search: false`, ...) checked before parsing
+ * - `<meta name="robots">` directives (`noindex`, ...) checked on the parsed page
+ */
+
+/**
+ * Get the reason a file is excluded by its frontmatter, if any.
+ * A rule matches when the file property strictly equals the rule value;
+ * rules set to null or undefined are disabled.
+ * @param {Object} file - Metalsmith file object
+ * @param {Object|false} rules - Map of frontmatter key to excluding value (e.g. { draft: true })
+ * @returns {string|null} Reason such as 'draft: true', or null if not excluded
+ */
+export function getFrontmatterExclusionReason(file, rules) {
+  for (const [key, value] of Object.entries(rules || {})) {
+    if (value !== null && value !== undefined && file && file[key] === value) {
+      return `${key}: ${JSON.stringify(value)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the reason a parsed page is excluded by its robots meta tag, if any
+ * @param {Object} $ - Cheerio instance
+ * @param {string[]} directives - Excluding directives (e.g. ['noindex'])
+ * @returns {string|null} Reason such as 'robots: noindex', or null if not excluded
+ */
+export function getRobotsExclusionReason($, directives) {
+  if (!directives || directives.length === 0) {
+    return null;
+  }
+
+  const excluding = directives.map((directive) => directive.toLowerCase());
+  const found = $('meta[name="robots" i]')
+    .toArray()
+    .flatMap((el) => ($(el).attr('content') || '').toLowerCase().split(','))
+    .map((directive) => directive.trim())
+    .find((directive) => excluding.includes(directive));
+
+  return found ? `robots: ${found}` : null;
+}
+
+/**
+ * Remove files excluded by frontmatter rules from the processing list
+ * @param {string[]} filenames - Files matched by pattern/ignore
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} options - Normalized plugin options
+ * @param {Function} debug - Debug logging function
+ * @returns {string[]} Files to process
+ */
+export function filterExcludedPages(filenames, files, options, debug) {
+  const skipped = [];
+  const kept = filenames.filter((filename) => {
+    const reason = getFrontmatterExclusionReason(files[filename], options.excludeFrontmatter);
+    if (reason) {
+      skipped.push(`${filename} (${reason})`);
+    }
+    return !reason;
+  });
+
+  if (skipped.length > 0) {
+    debug(`Skipped ${skipped.length} excluded pages: ${skipped.join(', ')}`);
+  }
+
+  return kept;
+}
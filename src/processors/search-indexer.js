@@ -2,6 +2,14 @@
  * Search index creation processor
  * Creates optimized search indexes using Fuse.js patterns
  */
+import { createHash } from 'node:crypto';
+import { HEAD_METADATA_EXTRA_FIELDS } from './head-metadata.js';
+import { CORE_ENTRY_FIELDS } from '../utils/file-metadata.js';
+import { analyzeText, TERM_PATTERN, tokenize } from '../utils/text-analysis.js';
+import { describeExports, getFieldText, getSearchFields } from './exporters.js';
+
+// Fields kept by `pruneFields` even when no search key references them
+const IDENTITY_FIELDS = ['id', 'type', 'url'];
 
 /**
  * Create a search index from extracted content entries
@@ -10,42 +18,209 @@
  * @returns {Object} Search index object
  */
 export function createSearchIndex(searchEntries, options) {
-  if (!Array.isArray(searchEntries) || searchEntries.length === 0) {
-    return createEmptyIndex(options);
+  // Optimize entries for search, then drop fields no search key uses if requested.
+  // An index without entries gets the same config and content hash as any other.
+  const optimizedEntries = optimizeEntriesForSearch(Array.isArray(searchEntries) ? searchEntries : [], options);
+  if (options.pruneFields) {
+    pruneUnsearchedFields(optimizedEntries, options.fuseOptions);
   }
-
-  // Optimize entries for search
-  const optimizedEntries = optimizeEntriesForSearch(searchEntries);
+  // Reproducible mode: the same pages always give the same bytes, whatever the file order
+  const entries = options.reproducible ? sortEntries(optimizedEntries).map(sortKeys) : optimizedEntries;
+  const contentHash = options.reproducible || options.hashedFilename ? hashEntries(entries, options) : null;
 
   // Create index structure
   const index = {
     version: '2.0.0',
+    format: 'single', // 'sharded' for manifests written by shardBy
     generator: 'metalsmith-search',
-    generated: new Date().toISOString(),
-    totalEntries: optimizedEntries.length,
+    ...getGeneratedTimestamp(options),
+    totalEntries: entries.length,
+    ...(contentHash && { contentHash }),
+    ...(options.locale && { locale: options.locale }), // per-locale indexes (localeIndexes)
 
-    // Index configuration for client-side reconstruction
-    config: {
-      fuseOptions: options.fuseOptions
-    },
+    // Index configuration for client-side reconstruction: selected formats,
+    // their library options and companion index files written next to this one
+    config: createIndexConfig(options),
 
     // Statistics for debugging and optimization
-    stats: generateIndexStats(optimizedEntries),
+    stats: generateIndexStats(entries),
 
     // The actual searchable data
-    entries: optimizedEntries
+    entries
   };
 
   return index;
 }
 
+/**
+ * Build the index `config` block: selected formats, their library options and
+ * the companion files written next to the index at `options.indexPath`
+ * @param {Object} options - Normalized plugin options
+ * @returns {Object} Config block
+ */
+export function createIndexConfig(options) {
+  const invertedIndexPath = options.indexPath ? getInvertedIndexPath(options) : null;
+
+  return {
+    ...describeExports(options),
+    ...(invertedIndexPath && { invertedIndex: invertedIndexPath })
+  };
+}
+
+/**
+ * The `generated` field of index files. Reproducible builds take it from
+ * `SOURCE_DATE_EPOCH` (seconds since the epoch) or leave it out.
+ * @param {Object} options - Normalized plugin options
+ * @returns {Object} `{generated}` or an empty object
+ * @throws {Error} When SOURCE_DATE_EPOCH is not a whole number of seconds
+ */
+export function getGeneratedTimestamp(options) {
+  if (!options.reproducible) {
+    return { generated: new Date().toISOString() };
+  }
+
+  const epoch = process.env.SOURCE_DATE_EPOCH?.trim();
+  if (!epoch) {
+    return {};
+  }
+  if (!/^\d+$/.test(epoch)) {
+    throw new Error(`metalsmith-search: SOURCE_DATE_EPOCH must be a number of seconds, got '${epoch}'`);
+  }
+
+  return { generated: new Date(Number(epoch) * 1000).toISOString() };
+}
+
+/**
+ * Order entries by page, independent of the order files were read in.
+ * The sort is stable, so sections stay after their page in document order.
+ * @param {Array} entries - Optimized entries
+ * @returns {Array} Sorted copy
+ */
+function sortEntries(entries) {
+  const pageId = (entry) => entry.parent?.id || entry.id;
+  // Code unit order, not localeCompare: the result must not depend on the build machine's locale
+  return [...entries].sort((a, b) => (pageId(a) < pageId(b) ? -1 : pageId(a) > pageId(b) ? 1 : 0));
+}
+
+/**
+ * Copy a value with object keys sorted at every level (array order is kept).
+ * Values with toJSON (e.g. a Date from metadataFields) are converted first,
+ * as JSON.stringify would.
+ * @param {*} value - Value as written to the index
+ * @returns {*} Copy with sorted keys
+ */
+function sortKeys(value) {
+  if (typeof value?.toJSON === 'function') {
+    return sortKeys(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Hash what clients download: the entries plus the path-independent config
+ * (formats and library options), so a new hash means a changed index
+ * @param {Array} entries - Entries as written
+ * @param {Object} options - Normalized plugin options
+ * @returns {string} 16 hex characters of the SHA-256 digest
+ */
+function hashEntries(entries, options) {
+  return createHash('sha256')
+    .update(JSON.stringify(sortKeys(describeExports(options, false))))
+    .update(JSON.stringify(entries.map(sortKeys)))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Resolve where the inverted index is written
+ * @param {Object} options - Normalized plugin options
+ * @returns {string|null} Output path, or null when disabled
+ */
+export function getInvertedIndexPath(options) {
+  if (!options.invertedIndex) {
+    return null;
+  }
+
+  if (typeof options.invertedIndex === 'string') {
+    return options.invertedIndex;
+  }
+
+  // search-index.json -> search-index.inverted.json
+  return options.indexPath.replace(/(\.json)?$/, '.inverted.json');
+}
+
+/**
+ * Build an inverted index with term positions over the optimized entries.
+ *
+ * Documents are numbered by their position in `ids` and fields by their
+ * position in `fields` (the `fuseOptions.keys` fields). `terms` is a sorted
+ * list of `[term, postings]` pairs (`new Map(terms)` on the client); each
+ * posting has the form `[doc, field, ...positions]`, where positions are
+ * term offsets within that field, so clients can answer exact-word lookups
+ * directly, prefix lookups by scanning the sorted terms, and quoted phrases
+ * by matching consecutive positions.
+ *
+ * @param {Array} entries - Entries from optimizeEntriesForSearch (text already cleaned)
+ * @param {Object} options - Normalized plugin options
+ * @returns {Object} Inverted index ({version, format, termPattern, fields, ids, terms})
+ */
+export function createInvertedIndex(entries, options) {
+  const fields = [...new Set(getSearchFields(options.fuseOptions).map((field) => field.name))];
+  const postings = new Map();
+
+  entries.forEach((entry, doc) => {
+    fields.forEach((field, fieldNumber) => {
+      const positionsByTerm = new Map();
+      tokenize(cleanText(getFieldText(entry, field))).forEach((term, position) => {
+        if (!positionsByTerm.has(term)) {
+          positionsByTerm.set(term, []);
+        }
+        positionsByTerm.get(term).push(position);
+      });
+
+      for (const [term, positions] of positionsByTerm) {
+        if (!postings.has(term)) {
+          postings.set(term, []);
+        }
+        postings.get(term).push([doc, fieldNumber, ...positions]);
+      }
+    });
+  });
+
+  // A sorted list rather than an object: clients binary-search it for prefixes,
+  // and object keys like '2020' would not keep their order
+  const terms = [...postings].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  return {
+    version: 1,
+    format: 'inverted',
+    termPattern: TERM_PATTERN,
+    fields,
+    ids: entries.map((entry) => entry.id),
+    terms
+  };
+}
+
 /**
  * Optimize search entries for better search performance
  * @param {Array} entries - Raw search entries
  * @param {Object} options - Optimization options
  * @returns {Array} Optimized entries
  */
-function optimizeEntriesForSearch(entries) {
+function optimizeEntriesForSearch(entries, options = {}) {
+  const metadataNames = (options.metadataFields || []).map((field) => field.name);
+  const searchKeyNames = getSearchKeyFields(options.fuseOptions).filter((name) => !CORE_ENTRY_FIELDS.includes(name));
+
   return entries.map((entry, index) => {
     const optimized = {
       // Unique identifier for each entry
@@ -57,15 +232,41 @@ function optimizeEntriesForSearch(entries) {
 
       // Searchable content fields
       title: cleanText(entry.title || ''),
-      content: cleanText(entry.content || ''),
+      content: truncateWords(cleanText(entry.content || ''), options.maxContentWords),
       ...(entry.excerpt && { excerpt: cleanText(entry.excerpt) }),
 
+      // Section entries: heading level and reference to the containing page
+      ...(entry.level && { level: entry.level }),
+      ...(entry.parent && { parent: entry.parent }),
+
       // Headings array for client-side scroll-to functionality
       // Format: [{level: 'h2', id: 'section-id', title: 'Section Title'}, ...]
+      // plus wordOffset, snippet, parent and children with headingOutline
       ...(entry.headings && entry.headings.length > 0 && { headings: entry.headings }),
 
       // Word count from extractor
-      ...(entry.wordCount !== undefined && { wordCount: entry.wordCount })
+      ...(entry.wordCount !== undefined && { wordCount: entry.wordCount }),
+
+      // @metalsmith/collections membership (collections option)
+      ...(Array.isArray(entry.collection) && entry.collection.length > 0 && { collection: entry.collection }),
+
+      // Text analysis: page language and the analyzed (stemmed, folded) title + full content
+      ...(entry.language && { language: entry.language }),
+      ...(options.analysis && {
+        [options.analysisField]: analyzeText(
+          `${cleanText(entry.title || '')} ${cleanText(entry.content || '')}`,
+          entry.language || options.defaultLanguage
+        ).join(' ')
+      }),
+
+      // Head metadata (image thumbnails, publish date, JSON-LD type/keywords)
+      ...pickFields(entry, HEAD_METADATA_EXTRA_FIELDS),
+
+      // Frontmatter / file metadata selected via `metadataFields`
+      ...pickFields(entry, metadataNames),
+
+      // Any other field Fuse is configured to search (e.g. data-search-field routed text)
+      ...pickFields(entry, searchKeyNames)
     };
 
     // Remove empty or undefined fields to reduce index size
@@ -87,11 +288,17 @@ function generateIndexStats(entries) {
   };
 
   let totalLength = 0;
+  const entriesByCollection = {};
 
   for (const entry of entries) {
     // Count by entry type
     stats.entriesByType[entry.type] = (stats.entriesByType[entry.type] || 0) + 1;
 
+    // Count by collection (an entry counts once for each of its collections)
+    for (const name of Array.isArray(entry.collection) ? entry.collection : []) {
+      entriesByCollection[name] = (entriesByCollection[name] || 0) + 1;
+    }
+
     // Calculate content length
     const contentLength = (entry.content || '').length;
     totalLength += contentLength;
@@ -99,34 +306,13 @@ function generateIndexStats(entries) {
 
   stats.totalContentLength = totalLength;
   stats.averageContentLength = entries.length > 0 ? Math.round(totalLength / entries.length) : 0;
+  if (Object.keys(entriesByCollection).length > 0) {
+    stats.entriesByCollection = entriesByCollection;
+  }
 
   return stats;
 }
 
-/**
- * Create an empty search index when no entries are found
- * @param {Object} options - Index options
- * @returns {Object} Empty index structure
- */
-function createEmptyIndex(options) {
-  return {
-    version: '2.0.0',
-    generator: 'metalsmith-search',
-    generated: new Date().toISOString(),
-    totalEntries: 0,
-    config: {
-      fuseOptions: options.fuseOptions
-    },
-    stats: {
-      totalEntries: 0,
-      entriesByType: {},
-      averageContentLength: 0,
-      totalContentLength: 0
-    },
-    entries: []
-  };
-}
-
 /**
  * Clean text content for search optimization.
  * Normalizes whitespace; preserves all printable characters so technical
@@ -142,6 +328,71 @@ function cleanText(text) {
   return text.trim().replace(/\s+/g, ' ');
 }
 
+/**
+ * Get the top-level entry fields referenced by `fuseOptions.keys`.
+ * Keys may be strings ('title'), dotted paths ('author.name'), path arrays
+ * or `{ name, weight }` objects.
+ * @param {Object} fuseOptions - Fuse.js options
+ * @returns {string[]} Top-level field names
+ */
+function getSearchKeyFields(fuseOptions) {
+  const keys = Array.isArray(fuseOptions?.keys) ? fuseOptions.keys : [];
+  return keys
+    .map((key) => (key && typeof key === 'object' && !Array.isArray(key) ? key.name : key))
+    .map((name) => (Array.isArray(name) ? name[0] : String(name ?? '').split('.')[0]))
+    .filter(Boolean);
+}
+
+/**
+ * Remove every field that no `fuseOptions.keys` entry references, keeping
+ * the identity fields (id, type, url) clients need to link results.
+ * Mutates the freshly optimized entries in place.
+ * @param {Array} entries - Optimized entries
+ * @param {Object} fuseOptions - Fuse.js options
+ * @returns {void}
+ */
+function pruneUnsearchedFields(entries, fuseOptions) {
+  const kept = new Set([...IDENTITY_FIELDS, ...getSearchKeyFields(fuseOptions)]);
+  for (const entry of entries) {
+    for (const field of Object.keys(entry)) {
+      if (!kept.has(field)) {
+        delete entry[field];
+      }
+    }
+  }
+}
+
+/**
+ * Truncate text to a maximum number of words
+ * @param {string} text - Cleaned text
+ * @param {number} maxWords - Word limit (0 or unset = unlimited)
+ * @returns {string} Text with at most maxWords words
+ */
+function truncateWords(text, maxWords) {
+  if (!maxWords || maxWords <= 0) {
+    return text;
+  }
+
+  const words = text.split(' ');
+  return words.length > maxWords ? words.slice(0, maxWords).join(' ') : text;
+}
+
+/**
+ * Pick the named fields that are present on an entry
+ * @param {Object} entry - Search entry
+ * @param {string[]} names - Field names to copy
+ * @returns {Object} Object containing only the present fields
+ */
+function pickFields(entry, names) {
+  const picked = {};
+  for (const name of names) {
+    if (Object.hasOwn(entry, name)) {
+      picked[name] = entry[name];
+    }
+  }
+  return picked;
+}
+
 /**
  * Drop null / undefined / empty-string fields from an entry. All other
  * values (including 0, false, empty arrays, nested objects) are preserved
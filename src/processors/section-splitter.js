@@ -0,0 +1,96 @@
+/**
+ * Section splitting processor
+ *
+ * Splits a page into additional `type: 'section'` entries at heading
+ * boundaries so search hits can deep-link to the part of the page that
+ * matched instead of the top of the page.
+ */
+import { collapseWhitespace, countWords, createExcerpt } from '../utils/text-helpers.js';
+
+/**
+ * Split a parsed page into section entries.
+ *
+ * Walks the DOM in document order. Every heading whose level is listed in
+ * `options.sectionLevels` opens a new section; all text that follows it, up
+ * to the next boundary heading, becomes that section's content. Text before
+ * the first boundary heading belongs only to the page entry. Sections without
+ * any text are dropped.
+ *
+ * @param {Object} $content - Content region to walk (excluded selectors already removed)
+ * @param {Array} headingRecords - Records from extractAndProcessHeadings ({el, level, id, title})
+ * @param {Object} page - The page entry the sections belong to
+ * @param {Object} options - Normalized plugin options
+ * @returns {Array} Section entries in document order
+ */
+export function extractSectionEntries($content, headingRecords, page, options) {
+  const levels = new Set(options.sectionLevels);
+  const boundaries = new Map(
+    headingRecords.filter((record) => levels.has(record.level)).map((record) => [record.el, record])
+  );
+
+  if (boundaries.size === 0) {
+    return [];
+  }
+
+  const sections = [];
+  let current = null;
+
+  const walk = (node) => {
+    if (boundaries.has(node)) {
+      // The heading text is the section title, not part of its content
+      current = { record: boundaries.get(node), text: [] };
+      sections.push(current);
+      return;
+    }
+
+    if (node.type === 'text') {
+      if (current) {
+        current.text.push(node.data);
+      }
+      return;
+    }
+
+    for (const child of node.children || []) {
+      walk(child);
+    }
+  };
+
+  for (const root of $content.toArray()) {
+    walk(root);
+  }
+
+  return sections
+    .map(({ record, text }) => createSectionEntry(record, collapseWhitespace(text.join('')), page))
+    .filter(Boolean);
+}
+
+/**
+ * Build a single section entry
+ * @param {Object} record - Heading record that opened the section
+ * @param {string} content - Normalized section text
+ * @param {Object} page - Parent page entry
+ * @returns {Object|null} Section entry, or null when the section has no text
+ */
+function createSectionEntry(record, content, page) {
+  if (!content) {
+    return null;
+  }
+
+  const url = `${page.url}#${record.id}`;
+
+  return {
+    id: `section:${url}`,
+    type: 'section',
+    url,
+    title: record.title,
+    content,
+    excerpt: createExcerpt(content),
+    level: record.level,
+    parent: {
+      id: page.id,
+      url: page.url,
+      title: page.title
+    },
+    wordCount: countWords(content)
+  };
+}
@@ -1,6 +1,8 @@
 /**
  * Anchor ID generation utility for section linking.
  * Creates URL-safe anchor IDs from heading text for use in the search index.
+ * The `slugify` presets reproduce popular anchor generators so generated ids
+ * match the ids those tools render.
  */
 
 const MAX_LENGTH = 50;
@@ -33,3 +35,96 @@ export function generateAnchorId(text) {
 
   return truncated || 'section';
 }
+
+/**
+ * Unicode-preserving variant of generateAnchorId: same cleanup and 50
+ * character cap, but letters and digits of any script are kept
+ * ('日本語の見出し' -> '日本語の見出し', 'Привет, мир' -> 'привет-мир').
+ *
+ * @param {string} text - Heading text to convert
+ * @returns {string} Anchor ID
+ */
+function unicodeSlug(text) {
+  const cleaned = String(text ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, '') // strip HTML tags
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '') // drop punctuation and symbols
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  // Cut on code points so surrogate pairs are never split
+  const chars = [...cleaned];
+  return chars.length > MAX_LENGTH ? chars.slice(0, MAX_LENGTH).join('').replace(/-+$/, '') : cleaned;
+}
+
+/**
+ * GitHub's slugger (github-slugger, also used by rehype-slug): lowercase,
+ * drop everything but letters, marks, digits, '_', '-' and spaces, then
+ * turn each space into a hyphen. No collapsing, trimming or length cap.
+ *
+ * @param {string} text - Heading text to convert
+ * @returns {string} Anchor ID
+ */
+function githubSlug(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * markdown-it-anchor's default slugify: trim, lowercase, whitespace runs to
+ * hyphens, then percent-encode (non-ASCII headings give ids like '%E6%97%A5')
+ *
+ * @param {string} text - Heading text to convert
+ * @returns {string} Anchor ID
+ */
+function markdownItAnchorSlug(text) {
+  return encodeURIComponent(
+    String(text ?? '')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+  );
+}
+
+/**
+ * Built-in `slugify` presets
+ * @type {Object<string, Function>}
+ */
+const SLUGIFY_PRESETS = {
+  default: generateAnchorId,
+  github: githubSlug,
+  'markdown-it-anchor': markdownItAnchorSlug,
+  unicode: unicodeSlug
+};
+
+/**
+ * Names accepted by the `slugify` option
+ * @type {string[]}
+ */
+export const SLUGIFY_PRESET_NAMES = Object.keys(SLUGIFY_PRESETS);
+
+/**
+ * Resolve the `slugify` option to a slug function. The result never returns
+ * an empty id: headings that slug to nothing fall back to 'section', like
+ * generateAnchorId. Uniqueness suffixes (-1, -2) are added by the caller.
+ *
+ * @param {string|Function} [slugify='default'] - Preset name or custom (text) => string function
+ * @returns {Function} (text) => anchor id
+ * @throws {Error} For unknown preset names
+ */
+export function resolveSlugify(slugify = 'default') {
+  const slug = typeof slugify === 'function' ? slugify : SLUGIFY_PRESETS[slugify];
+  if (!slug) {
+    const message = `metalsmith-search: unknown slugify preset '${slugify}' (expected one of: ${SLUGIFY_PRESET_NAMES.join(', ')}, or a function)`;
+    throw new Error(message);
+  }
+
+  return (text) => {
+    const id = slug(text);
+    return typeof id === 'string' && id ? id : 'section';
+  };
+}
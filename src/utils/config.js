@@ -3,16 +3,68 @@
  * deep merging, file pattern matching, and normalization.
  * Uses Metalsmith's native match() method to avoid external dependencies.
  */
+import { HEAD_METADATA_FIELDS } from '../processors/head-metadata.js';
 
 /**
  * Default plugin options
  * All properties guaranteed to exist after merging with user options.
  * @type {Object}
  * @property {string} pattern - Files to process (HTML files)
- * @property {string[]} ignore - Files to exclude from processing
+ * @property {string[]} ignore - Files to exclude from processing (index outputs are always excluded)
  * @property {string} indexPath - Output path for search index
+ * @property {Object|null} indexes - Named indexes ({ name: options }), each overriding the top-level options
+ * @property {string} baseUrl - Origin (and optional path) prefixed to every URL, e.g. 'https://example.com'
+ * @property {string} basePath - Path prefix for sites deployed under a subpath, e.g. '/docs/v2'
+ * @property {string} trailingSlash - 'never', 'always' or 'preserve' (slash only for index pages)
+ * @property {boolean} keepExtension - Use file paths as URLs (/foo/bar.html, /foo/index.html)
+ * @property {Function|null} urlFormatter - Custom (filename, file) => path, prefixed with baseUrl/basePath
  * @property {string[]} excludeSelectors - CSS selectors to exclude from content
+ * @property {string[]} contentSelector - Content region selectors, first match wins (empty = whole page)
+ * @property {Object} excludeFrontmatter - Frontmatter key/value pairs that exclude a page
+ * @property {string[]} excludeRobotsDirectives - Robots meta directives that exclude a page
+ * @property {boolean} sections - Emit section entries at heading boundaries
+ * @property {string[]} sectionLevels - Heading levels that start a new section
+ * @property {string[]} headingLevels - Heading levels recorded in each entry's `headings`
+ * @property {boolean} headingOutline - Add snippet, word offset and parent/children to each heading
+ * @property {number} headingSnippetWords - Maximum words in a heading snippet
+ * @property {string|Function} slugify - Heading id generator: 'default', 'github', 'markdown-it-anchor', 'unicode' or (text) => id
+ * @property {boolean} injectAnchors - Write generated heading ids back into the rendered HTML
+ * @property {boolean} anchorLinks - With injectAnchors, append a self-link to each heading
+ * @property {string} anchorLinkClass - Class of injected self-links
+ * @property {string} anchorLinkSymbol - Text of injected self-links
+ * @property {boolean|string} validateLinks - Check entry URLs and heading ids against the output (true or report path)
+ * @property {boolean} failOnBrokenLinks - Fail the build when validateLinks finds broken links
+ * @property {string[]|Object} metadataFields - File-object properties to copy into entries
+ * @property {boolean|string[]} headMetadata - Head metadata fields to harvest (true = all)
+ * @property {string[]} headMetadataSources - Head metadata sources in precedence order
  * @property {Object} fuseOptions - Fuse.js search configuration
+ * @property {string[]} routedFields - data-search-field names that fuseOptions.keys may reference
+ * @property {boolean|string} fuseIndex - Write a pre-built Fuse index (true = derived path)
+ * @property {string|Function|null} shardBy - Split the index into shards ('size', 'path', 'collection' or fn)
+ * @property {number} shardSize - Target shard size in bytes for shardBy: 'size'
+ * @property {number} shardPathDepth - Path segments forming the shard key for shardBy: 'path'
+ * @property {boolean|string[]} collections - Tag entries with their @metalsmith/collections names (true or a list)
+ * @property {boolean|Object} collectionType - Set page entry type from the collection (true or { collection: type })
+ * @property {boolean} analysis - Add a normalized field (stemmed, folded, no stop words) for search
+ * @property {string} analysisField - Entry field holding the analyzed text
+ * @property {string} defaultLanguage - Analysis language for pages without <html lang>
+ * @property {boolean} localeIndexes - Write one index per page language plus a locale manifest
+ * @property {string[]} localeSources - Where to look for a page's language, in order ('html', 'frontmatter', 'path')
+ * @property {string[]} locales - Languages a leading path segment may name, besides those found via html/frontmatter
+ * @property {Object} localeOptions - Option overrides per locale (e.g. { ja: { analysis: false } })
+ * @property {boolean|string} invertedIndex - Also write a term -> entry/field/position index (true or output path)
+ * @property {Array} format - Index formats to emit ('fuse', 'lunr', 'minisearch', 'flexsearch', or custom exporters)
+ * @property {Object} miniSearchOptions - MiniSearch options for format 'minisearch'
+ * @property {Object} flexSearchOptions - FlexSearch Document options for format 'flexsearch'
+ * @property {boolean} minify - Write index files without indentation
+ * @property {number} maxContentWords - Truncate entry content to this many words (0 = no limit)
+ * @property {boolean} pruneFields - Drop entry fields not referenced by fuseOptions.keys
+ * @property {string[]} precompress - Also write precompressed copies ('gzip', 'brotli')
+ * @property {boolean} reproducible - Byte-identical output for identical content (sorted, SOURCE_DATE_EPOCH, contentHash)
+ * @property {boolean} hashedFilename - Write the index as search-index.<contentHash>.json with a pointer at indexPath
+ * @property {boolean|number} workers - Extract pages on worker threads (true or a worker count)
+ * @property {boolean|string} cache - Reuse entries of unchanged pages across builds (true or cache file path)
+ * @property {boolean} strict - Fail the build on pages that fail to extract, are empty or have no title
  */
 function deepFreeze(obj) {
   for (const key of Object.keys(obj)) {
@@ -28,12 +80,57 @@ export const defaultOptions = deepFreeze({
   pattern: '**/*.html',
   ignore: ['**/search-index.json'],
   indexPath: 'search-index.json',
+
+  // Entry URLs: /foo/bar for foo/bar.html and foo/bar/index.html by default
+  baseUrl: '',
+  basePath: '',
+  trailingSlash: 'never',
+  keepExtension: false,
+  urlFormatter: null,
+
+  // Named indexes (opt-in): { docs: { pattern: 'docs/**/*.html' }, ... } -> search-index.docs.json, ...
+  indexes: null,
   excludeSelectors: ['nav', 'header', 'footer'],
+  contentSelector: [], // e.g. ['main', 'article', '[role=main]']
+
+  // Page-level exclusion: drafts, per-page opt-out and robots noindex
+  excludeFrontmatter: { draft: true, search: false },
+  excludeRobotsDirectives: ['noindex'],
+
+  // Section entries (opt-in): split pages at these heading levels
+  sections: false,
+  sectionLevels: ['h2', 'h3'],
+
+  // Heading list on each entry; headingOutline adds snippets, word offsets and nesting
+  headingLevels: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+  headingOutline: false,
+  headingSnippetWords: 30,
+
+  // Ids for headings without one: a preset matching your anchor plugin, or a function
+  slugify: 'default',
+
+  // Rendered HTML is left untouched unless injectAnchors is enabled
+  injectAnchors: false,
+  anchorLinks: false,
+  anchorLinkClass: 'heading-anchor',
+  anchorLinkSymbol: '#',
+
+  // Deep link validation (opt-in): true or a report path; failOnBrokenLinks fails the build
+  validateLinks: false,
+  failOnBrokenLinks: false,
+
+  // Frontmatter / file-object properties copied into every entry
+  metadataFields: [],
+
+  // Head metadata harvesting (opt-in): first listed source with a value wins
+  headMetadata: false,
+  headMetadataSources: ['meta', 'opengraph', 'jsonld'],
 
   // Fuse.js options
   fuseOptions: {
     keys: [
       { name: 'title', weight: 10 }, // Page title from <title> or <h1>
+      { name: 'keywords', weight: 8 }, // data-search-weight text and head keywords
       { name: 'content', weight: 5 }, // All page text content
       { name: 'excerpt', weight: 3 } // Auto-generated excerpt
     ],
@@ -41,7 +138,59 @@ export const defaultOptions = deepFreeze({
     includeScore: true,
     includeMatches: true,
     minMatchCharLength: 3 // Skip stop words (to, be, or, etc.)
-  }
+  },
+  routedFields: [], // data-search-field names, so fuseOptions.keys may search them
+
+  // Pre-built Fuse index (opt-in, needs fuse.js installed): true or an output path
+  fuseIndex: false,
+
+  // @metalsmith/collections integration (opt-in): true for all collections or a list of names
+  collections: false,
+  collectionType: false,
+
+  // Language-aware text analysis (opt-in): adds an analyzed search field, keeps content for display
+  analysis: false,
+  analysisField: 'normalized',
+  defaultLanguage: 'en',
+
+  // Per-locale indexes (opt-in): search-index.de.json, ... plus a manifest at indexPath
+  localeIndexes: false,
+  localeSources: ['html', 'frontmatter', 'path'],
+  locales: [], // path segments count as languages only if listed here or found via html/frontmatter
+  localeOptions: {},
+
+  // Built-in inverted index with term positions (opt-in): true or an output path
+  invertedIndex: false,
+
+  // Index formats: 'fuse' describes the entries document; others add companion
+  // index files and need their library installed (lunr, minisearch, flexsearch)
+  format: 'fuse',
+  miniSearchOptions: {},
+  flexSearchOptions: {},
+
+  // Sharded output (opt-in): manifest + lazily loaded chunk files
+  shardBy: null,
+  shardSize: 250000,
+  shardPathDepth: 1,
+
+  // Compact output: smaller index files for large sites
+  minify: false,
+  maxContentWords: 0,
+  pruneFields: false,
+  precompress: false, // true = ['gzip', 'brotli']
+
+  // Reproducible output (opt-in): sorted entries, sorted keys, SOURCE_DATE_EPOCH timestamp and a content hash
+  reproducible: false,
+  hashedFilename: false, // write search-index.<contentHash>.json plus a pointer at indexPath
+
+  // Persistent extraction cache (opt-in): true = node_modules/.cache/metalsmith-search/extraction.json
+  cache: false,
+
+  // Parallel extraction (opt-in): true = one worker per spare CPU core, or a worker count
+  workers: false,
+
+  // Fail the build when a page fails to extract, is empty or has no title (otherwise warn once)
+  strict: false
 });
 
 /**
@@ -79,20 +228,141 @@ function normalizeToArray(value) {
   return [];
 }
 
+/**
+ * Normalize a single metadata field spec
+ * @param {string} name - Entry field name
+ * @param {string|Function|Object} spec - Source path, transform, or {from, transform}
+ * @returns {Object} Field spec as {name, from, transform}
+ */
+function normalizeMetadataField(name, spec) {
+  if (typeof spec === 'string') {
+    return { name, from: spec, transform: null };
+  }
+
+  if (typeof spec === 'function') {
+    return { name, from: name, transform: spec };
+  }
+
+  return {
+    name,
+    from: spec?.from || name,
+    transform: typeof spec?.transform === 'function' ? spec.transform : null
+  };
+}
+
+/**
+ * Normalize metadataFields into a list of {name, from, transform} specs.
+ * Accepts a list of property paths (`['tags', 'author.name']`) or a mapping of
+ * entry field names to a source path, a transform function, or
+ * `{ from, transform }` (`{ published: 'date', year: { from: 'date', transform: (d) => d.getFullYear() } }`).
+ * A dotted path in list form is stored under its last segment.
+ * @param {string|string[]|Object} value - metadataFields option
+ * @returns {Array} Normalized field specs
+ */
+function normalizeMetadataFields(value) {
+  if (value?.constructor === Object) {
+    return Object.entries(value).map(([name, spec]) => normalizeMetadataField(name, spec));
+  }
+
+  return normalizeToArray(value).map((path) => normalizeMetadataField(path.split('.').pop(), path));
+}
+
+/**
+ * Normalize headMetadata into the list of head fields to harvest
+ * @param {boolean|string|string[]} value - headMetadata option
+ * @returns {string[]} Field names (empty when harvesting is off)
+ */
+function normalizeHeadMetadata(value) {
+  if (value === true) {
+    return [...HEAD_METADATA_FIELDS];
+  }
+
+  return normalizeToArray(value);
+}
+
+/**
+ * Normalize precompress into a list of encodings
+ * @param {boolean|string|string[]} value - precompress option
+ * @returns {string[]} Encodings ('gzip', 'brotli')
+ */
+function normalizePrecompress(value) {
+  if (value === true) {
+    return ['gzip', 'brotli'];
+  }
+
+  return normalizeToArray(value);
+}
+
+/**
+ * Add the analyzed field to the Fuse keys when text analysis is enabled.
+ * Stop words are then removed by the analyzer, so the default
+ * `minMatchCharLength` (which hides short terms like "go" or "ui") drops to 1;
+ * a value set by the user is kept.
+ * @param {Object} options - Merged options
+ * @returns {Object} Fuse.js options
+ */
+function normalizeFuseOptions(options) {
+  const { fuseOptions } = options;
+  if (!options.analysis || !fuseOptions) {
+    return fuseOptions;
+  }
+
+  const keys = Array.isArray(fuseOptions.keys) ? fuseOptions.keys : [];
+  const hasField = keys.some((key) => (key?.name ?? key) === options.analysisField);
+
+  return {
+    ...fuseOptions,
+    keys: hasField ? keys : [...keys, { name: options.analysisField, weight: 5 }],
+    ...(fuseOptions.minMatchCharLength === defaultOptions.fuseOptions.minMatchCharLength && { minMatchCharLength: 1 })
+  };
+}
+
 /**
  * Normalize options by converting string values to arrays
  * @param {Object} options - Merged options (defaults + user overrides)
- * @returns {Object} Options with arrays for pattern, ignore, and excludeSelectors
+ * @returns {Object} Options with arrays for pattern, ignore, excludeSelectors, contentSelector,
+ *   excludeRobotsDirectives, sectionLevels, headingLevels, metadataFields, headMetadata, headMetadataSources, localeSources, locales, precompress and format;
+ *   fuseOptions gain the analyzed field when `analysis` is enabled; a single `collections` name becomes a list
  */
 export function normalizeOptions(options) {
   return {
     ...options,
     pattern: normalizeToArray(options.pattern),
     ignore: normalizeToArray(options.ignore),
-    excludeSelectors: normalizeToArray(options.excludeSelectors)
+    excludeSelectors: normalizeToArray(options.excludeSelectors),
+    contentSelector: normalizeToArray(options.contentSelector),
+    excludeRobotsDirectives: normalizeToArray(options.excludeRobotsDirectives),
+    sectionLevels: normalizeToArray(options.sectionLevels).map((level) => String(level).toLowerCase()),
+    headingLevels: normalizeToArray(options.headingLevels).map((level) => String(level).toLowerCase()),
+    metadataFields: normalizeMetadataFields(options.metadataFields),
+    headMetadata: normalizeHeadMetadata(options.headMetadata),
+    headMetadataSources: normalizeToArray(options.headMetadataSources),
+    localeSources: normalizeToArray(options.localeSources),
+    locales: normalizeToArray(options.locales),
+    collections: typeof options.collections === 'string' ? [options.collections] : options.collections,
+    precompress: normalizePrecompress(options.precompress),
+    format: normalizeToArray(options.format),
+    fuseOptions: normalizeFuseOptions(options)
   };
 }
 
+/**
+ * Apply `localeOptions[locale]` overrides (e.g. Fuse keys or analysis settings
+ * for one language) on top of normalized options
+ * @param {Object} options - Normalized plugin options
+ * @param {string} locale - Page language (e.g. 'de')
+ * @returns {Object} Options for that locale's index
+ */
+export function resolveLocaleOptions(options, locale) {
+  const overrides = options.localeOptions?.[locale];
+  if (!overrides) {
+    return options;
+  }
+
+  const merged = deepMerge(options, overrides);
+  return { ...merged, fuseOptions: normalizeFuseOptions(merged) };
+}
+
 /**
  * Check if ignore patterns exist
  * @param {string[]} ignore - Array of ignore patterns
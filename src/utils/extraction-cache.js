@@ -0,0 +1,250 @@
+/**
+ * Extraction Cache
+ * Persists the entries extracted from each page between builds, so watch
+ * mode and dev-server rebuilds only re-parse pages that changed.
+ *
+ * A page's cached entries are reused when both keys still match:
+ * - the page key: a hash of `file.contents` plus the frontmatter extraction
+ *   reads (metadataFields values, locale/lang)
+ * - the index fingerprint: a hash of the index options and the plugin
+ *   version; any option change drops that index's cache
+ *
+ * The cache file is rewritten after every build with only the pages of that
+ * build, so deleted pages fall out of it.
+ */
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { extractFileMetadata } from './file-metadata.js';
+
+/**
+ * Bumped when the cache file layout changes
+ * @type {number}
+ */
+const CACHE_VERSION = 2;
+
+/**
+ * Plugin version, part of every fingerprint so upgrades never reuse stale entries
+ * @type {string}
+ */
+const PLUGIN_VERSION = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+
+/**
+ * Options that only affect output files, never the extracted entries;
+ * changing them keeps the cache
+ * @type {string[]}
+ */
+const OUTPUT_ONLY_OPTIONS = [
+  'cache',
+  'workers',
+  'indexes',
+  'routedFields',
+  'fuseIndex',
+  'invertedIndex',
+  'format',
+  'miniSearchOptions',
+  'flexSearchOptions',
+  'shardBy',
+  'shardSize',
+  'shardPathDepth',
+  'minify',
+  'maxContentWords',
+  'pruneFields',
+  'precompress',
+  'strict',
+  'reproducible',
+  'hashedFilename',
+  'validateLinks',
+  'failOnBrokenLinks'
+];
+
+/**
+ * SHA-256 hex digest
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Hex digest
+ */
+function hash(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * JSON.stringify that also covers functions (by source text) and tolerates
+ * circular references (by path), for hashing only
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable-enough serialization
+ */
+function serializeForHash(value) {
+  const seen = new WeakSet();
+  return JSON.stringify(value, (_key, item) => {
+    if (typeof item === 'function') {
+      return `[function ${item.toString()}]`;
+    }
+    if (item instanceof RegExp) {
+      return `[regexp ${item}]`;
+    }
+    if (item && typeof item === 'object') {
+      if (seen.has(item)) {
+        return '[circular]';
+      }
+      seen.add(item);
+    }
+    return item;
+  });
+}
+
+/**
+ * Fingerprint the options that shape extracted entries
+ * @param {Object} options - Normalized index options
+ * @returns {string} Fingerprint
+ */
+function fingerprintOptions(options) {
+  const relevant = Object.fromEntries(Object.entries(options).filter(([name]) => !OUTPUT_ONLY_OPTIONS.includes(name)));
+  return hash(serializeForHash({ version: PLUGIN_VERSION, options: relevant }));
+}
+
+/**
+ * Resolve where the cache file lives
+ * @param {boolean|string} cache - `cache` option
+ * @param {Object} metalsmith - Metalsmith instance
+ * @returns {string} Absolute cache file path
+ */
+function getCachePath(cache, metalsmith) {
+  const base = metalsmith.directory();
+  return typeof cache === 'string'
+    ? resolve(base, cache)
+    : join(base, 'node_modules', '.cache', 'metalsmith-search', 'extraction.json');
+}
+
+/**
+ * Load the extraction cache for this build
+ * @param {Object} config - Merged plugin options (`cache` is read from the top level)
+ * @param {Array} targets - Indexes to build ({name, options})
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {Function} debug - Debug logging function
+ * @returns {Promise<Object|null>} Cache state, or null when caching is off
+ */
+export async function loadExtractionCache(config, targets, metalsmith, debug) {
+  if (!config.cache) {
+    return null;
+  }
+
+  const path = getCachePath(config.cache, metalsmith);
+  let stored = {};
+  try {
+    stored = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    // First build, or an unreadable cache: start empty
+    debug(`No usable extraction cache at ${path} (${error.code || error.message})`);
+  }
+  const storedIndexes = stored.version === CACHE_VERSION ? stored.indexes || {} : {};
+
+  const indexes = {};
+  for (const target of targets) {
+    const fingerprint = fingerprintOptions(target.options);
+    const previous = storedIndexes[target.name];
+    indexes[target.name] = {
+      fingerprint,
+      previous: previous?.fingerprint === fingerprint ? previous.files : {},
+      files: {}
+    };
+    if (previous && previous.fingerprint !== fingerprint) {
+      debug(`Options of index '${target.name}' changed, ignoring its cached entries`);
+    }
+  }
+
+  return { path, indexes, hits: 0, misses: 0 };
+}
+
+/**
+ * Compute the cache key of a page for one index: its contents, the
+ * frontmatter the extractor reads and the page's `urlFormatter` result,
+ * which usually depends on frontmatter such as a permalink
+ * @param {string} filename - File path
+ * @param {Object} file - Metalsmith file object
+ * @param {Object} options - Normalized index options
+ * @returns {string|null} Page key, or null when the page cannot be keyed
+ */
+export function getPageKey(filename, file, options) {
+  if (!file || !Buffer.isBuffer(file.contents)) {
+    return null;
+  }
+
+  let url = null;
+  if (typeof options.urlFormatter === 'function') {
+    try {
+      url = String(options.urlFormatter(filename, file) ?? '');
+    } catch {
+      return null; // extraction reports the failure; never reuse entries for this page
+    }
+  }
+
+  const inputs = {
+    metadata: extractFileMetadata(file, options.metadataFields || [], () => {}),
+    locale: file.locale ?? file.lang,
+    url
+  };
+  return hash(Buffer.concat([file.contents, Buffer.from(serializeForHash(inputs))]));
+}
+
+/**
+ * Look up a page's cached extraction result; hits are carried over to the next cache file
+ * @param {Object} cache - Cache state from loadExtractionCache
+ * @param {string} indexName - Index name
+ * @param {string} filename - File path
+ * @param {string} key - Page key from getPageKey
+ * @returns {Object|null} Cached {entries, issues?, contents?}, or null on a miss
+ */
+export function getCachedExtraction(cache, indexName, filename, key) {
+  const index = cache.indexes[indexName];
+  const record = index.previous[filename];
+
+  if (!key || record?.key !== key) {
+    cache.misses++;
+    return null;
+  }
+
+  cache.hits++;
+  index.files[filename] = record;
+  return record;
+}
+
+/**
+ * Record a page's fresh extraction result
+ * @param {Object} cache - Cache state from loadExtractionCache
+ * @param {string} indexName - Index name
+ * @param {string} filename - File path
+ * @param {string} key - Page key from getPageKey
+ * @param {Array} entries - Extracted entries
+ * @param {Buffer} [contents] - Rewritten page contents (injectAnchors), if changed
+ * @param {Array} [issues] - Extraction issues; pages that failed are not cached, so they are retried
+ * @returns {void}
+ */
+export function storeExtraction(cache, indexName, filename, key, entries, contents, issues = []) {
+  if (!key || issues.some((issue) => issue.type === 'failed')) {
+    return;
+  }
+
+  cache.indexes[indexName].files[filename] = {
+    key,
+    entries,
+    ...(issues.length > 0 && { issues }),
+    ...(contents && { contents: contents.toString() })
+  };
+}
+
+/**
+ * Write the cache file with the pages of this build only
+ * @param {Object} cache - Cache state from loadExtractionCache
+ * @param {Function} debug - Debug logging function
+ * @returns {Promise<void>}
+ */
+export async function saveExtractionCache(cache, debug) {
+  const indexes = Object.fromEntries(
+    Object.entries(cache.indexes).map(([name, { fingerprint, files }]) => [name, { fingerprint, files }])
+  );
+
+  await mkdir(dirname(cache.path), { recursive: true });
+  await writeFile(cache.path, JSON.stringify({ version: CACHE_VERSION, indexes }));
+  debug(`Extraction cache: ${cache.hits} reused, ${cache.misses} extracted, saved to ${cache.path}`);
+}
@@ -0,0 +1,91 @@
+/**
+ * Extraction Report
+ * Collects the pages that did not make it into the index cleanly, so they
+ * are reported instead of silently missing from search:
+ * - failed: extraction threw (malformed page, invalid selector, ...)
+ * - empty: nothing left to index (empty file, no text after exclusions)
+ * - untitled: indexed, but with the 'Untitled' fallback title
+ *
+ * Pages excluded on purpose (frontmatter rules, robots meta) are not listed.
+ */
+
+/**
+ * Issue types in report order
+ * @type {string[]}
+ */
+const ISSUE_TYPES = ['failed', 'empty', 'untitled'];
+
+/**
+ * Create an empty report for one build
+ * @returns {Object} Report {pages, failed, empty, untitled}
+ */
+export function createExtractionReport() {
+  return { pages: 0, failed: [], empty: [], untitled: [] };
+}
+
+/**
+ * Add a page's issues for one index to the report
+ * @param {Object} report - Report from createExtractionReport
+ * @param {string} filename - File path
+ * @param {string} indexName - Index name ('default' without `indexes`)
+ * @param {Array} issues - Issues from extraction ({type, reason?, message?, url?})
+ * @returns {void}
+ */
+export function recordIssues(report, filename, indexName, issues) {
+  for (const { type, ...details } of issues) {
+    report[type].push({ file: filename, index: indexName, ...details });
+  }
+}
+
+/**
+ * Count the distinct files per issue type (a page fails once per index that includes it)
+ * @param {Object} report - Extraction report
+ * @returns {Object<string, number>} File count per issue type
+ */
+function countFiles(report) {
+  return Object.fromEntries(ISSUE_TYPES.map((type) => [type, new Set(report[type].map((issue) => issue.file)).size]));
+}
+
+/**
+ * Check whether the report lists any issue
+ * @param {Object} report - Extraction report
+ * @returns {boolean} True if a page failed, was empty or has no title
+ */
+export function hasIssues(report) {
+  return ISSUE_TYPES.some((type) => report[type].length > 0);
+}
+
+/**
+ * Describe the report in one line, leaving out zero counts
+ * @param {Object} report - Extraction report
+ * @returns {string} Summary (e.g. '2 of 40 pages skipped (1 failed, 1 empty), 3 page(s) without a title')
+ */
+export function summarizeReport(report) {
+  const counts = countFiles(report);
+  const skipped = new Set([...report.failed, ...report.empty].map((issue) => issue.file)).size;
+  const reasons = ['failed', 'empty'].filter((type) => counts[type] > 0).map((type) => `${counts[type]} ${type}`);
+
+  const parts = [];
+  if (skipped > 0) {
+    parts.push(`${skipped} of ${report.pages} pages skipped (${reasons.join(', ')})`);
+  }
+  if (counts.untitled > 0) {
+    parts.push(`${counts.untitled} page(s) without a title`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Build the error that fails a strict build
+ * @param {Object} report - Extraction report with at least one issue
+ * @returns {Error} Error with the full report as `error.report`
+ */
+export function createStrictError(report) {
+  const [first] = ISSUE_TYPES.flatMap((type) => report[type].map((issue) => ({ type, ...issue })));
+  const detail = first.message || first.reason || 'no title';
+  const message = `metalsmith-search: strict mode: ${summarizeReport(report)}, e.g. ${first.file} (${first.type}: ${detail})`;
+
+  const error = new Error(message);
+  error.report = report;
+  return error;
+}
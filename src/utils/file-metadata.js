@@ -0,0 +1,65 @@
+/**
+ * File metadata utilities
+ * Copies selected Metalsmith file-object properties (frontmatter and
+ * anything earlier plugins attached) into search entries.
+ */
+
+/**
+ * Entry fields produced by the extractor. Metadata fields may not overwrite
+ * these, so a `title` or `url` frontmatter key never clobbers the values
+ * derived from the rendered HTML.
+ * @type {string[]}
+ */
+export const CORE_ENTRY_FIELDS = Object.freeze([
+  'id',
+  'type',
+  'url',
+  'title',
+  'content',
+  'excerpt',
+  'headings',
+  'wordCount',
+  'level',
+  'parent',
+  'language'
+]);
+
+/**
+ * Read a value from an object by dotted path (e.g. 'author.name')
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dotted property path
+ * @returns {*} Value at path, or undefined if any segment is missing
+ */
+export function getValueAtPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+/**
+ * Extract the configured metadata fields from a Metalsmith file object.
+ * Missing (undefined) values are omitted; transforms receive the raw value
+ * and the file object and may return undefined to drop the field.
+ *
+ * @param {Object} file - Metalsmith file object
+ * @param {Array} fields - Normalized metadata fields ({name, from, transform})
+ * @param {Function} debug - Debug logging function
+ * @returns {Object} Metadata to merge into each entry for this file
+ */
+export function extractFileMetadata(file, fields, debug) {
+  const metadata = {};
+
+  for (const { name, from, transform } of fields) {
+    if (CORE_ENTRY_FIELDS.includes(name)) {
+      debug(`Ignoring metadata field '${name}': reserved entry field`);
+      continue;
+    }
+
+    const raw = getValueAtPath(file, from);
+    const value = transform ? transform(raw, file) : raw;
+
+    if (value !== undefined) {
+      metadata[name] = value;
+    }
+  }
+
+  return metadata;
+}
@@ -3,24 +3,163 @@
  * Functions for creating and managing search indexes
  */
 
-import { createSearchIndex } from '../processors/search-indexer.js';
-import { validateFiles, normalizeOptions } from './config.js';
+import { brotliCompressSync, constants as zlibConstants, gzipSync } from 'node:zlib';
+import {
+  createIndexConfig,
+  createInvertedIndex,
+  createSearchIndex,
+  getGeneratedTimestamp
+} from '../processors/search-indexer.js';
+import { deepMerge, validateFiles, normalizeOptions, resolveLocaleOptions } from './config.js';
+import { filterExcludedPages } from '../processors/page-filter.js';
+import { collectKnownLanguages } from '../processors/locale-detector.js';
+import { runExporters } from '../processors/exporters.js';
+import { createShardedIndex } from '../processors/index-sharder.js';
+import { validateDeepLinks } from '../processors/link-validator.js';
 
 /**
- * Create an empty search index and add it to files
+ * Marks files written by this plugin, so a later metalsmith-search call in the
+ * same build never indexes them (shared via the global symbol registry)
+ * @type {symbol}
+ */
+const INDEX_OUTPUT = Symbol.for('metalsmith-search.output');
+
+/**
+ * Precompression encodings: file extension and compressor
+ * @type {Object<string, Object>}
+ */
+const compressors = {
+  gzip: {
+    extension: '.gz',
+    compress: (buffer) => gzipSync(buffer, { level: 9 })
+  },
+  brotli: {
+    extension: '.br',
+    compress: (buffer) =>
+      brotliCompressSync(buffer, {
+        params: {
+          [zlibConstants.BROTLI_PARAM_MODE]: zlibConstants.BROTLI_MODE_TEXT,
+          [zlibConstants.BROTLI_PARAM_QUALITY]: zlibConstants.BROTLI_MAX_QUALITY
+        }
+      })
+  }
+};
+
+/**
+ * Encodings accepted by `precompress`
+ * @type {string[]}
+ */
+export const PRECOMPRESS_ENCODINGS = Object.freeze(Object.keys(compressors));
+
+/**
+ * Serialize index data, pretty-printed unless `minify` is set
+ * @param {Object} data - Index, manifest or shard object
+ * @param {Object} options - Plugin options
+ * @returns {string} JSON text
+ */
+function serializeIndex(data, options) {
+  return options.minify ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Add an index file to Metalsmith files, plus precompressed siblings
+ * (`.gz`, `.br`) for each encoding listed in `options.precompress`
  * @param {Object} files - Metalsmith files object
+ * @param {string} path - Output path
+ * @param {string} json - Serialized file contents
  * @param {Object} options - Plugin options
- * @param {Function} debug - Debug logging function
  * @returns {void}
  */
-export function createEmptyIndex(files, options, debug) {
-  debug('Creating empty search index');
-  const emptySearchIndex = createSearchIndex([], options);
-  files[options.indexPath] = {
-    contents: Buffer.from(JSON.stringify(emptySearchIndex, null, 2)),
-    mode: '0644'
+function writeIndexFile(files, path, json, options) {
+  const contents = Buffer.from(json);
+  files[path] = { contents, mode: '0644', [INDEX_OUTPUT]: true };
+
+  for (const encoding of options.precompress || []) {
+    const { extension, compress } = compressors[encoding];
+    files[`${path}${extension}`] = { contents: compress(contents), mode: '0644', [INDEX_OUTPUT]: true };
+  }
+}
+
+/**
+ * Check whether any compact-output option is active
+ * @param {Object} options - Plugin options
+ * @returns {boolean} True if size statistics should be reported
+ */
+function hasCompactOutput(options) {
+  return Boolean(
+    options.minify || options.maxContentWords > 0 || options.pruneFields || options.precompress?.length > 0
+  );
+}
+
+/**
+ * Measure the index before and after compaction.
+ * `original` is the pretty-printed index without truncation or pruning;
+ * `written` (and `gzip` / `brotli` when precompressing) describe the main
+ * index file as written, excluding this size report itself.
+ * @param {Array} searchEntries - All collected search entries
+ * @param {Object} searchIndex - Index (or sharded manifest) about to be written
+ * @param {Object} options - Plugin options
+ * @returns {Object} Byte sizes
+ */
+function measureIndexSize(searchEntries, searchIndex, options) {
+  const original = createSearchIndex(searchEntries, { ...options, maxContentWords: 0, pruneFields: false });
+  const written = Buffer.from(serializeIndex(searchIndex, options));
+  const size = {
+    original: Buffer.byteLength(JSON.stringify(original, null, 2)),
+    written: written.length
   };
-  debug(`Created empty search index at ${options.indexPath}`);
+
+  for (const encoding of options.precompress || []) {
+    size[encoding] = compressors[encoding].compress(written).length;
+  }
+
+  return size;
+}
+
+/**
+ * Insert a suffix before the `.json` extension
+ * @param {string} path - Output path (e.g. 'search-index.json')
+ * @param {string} suffix - Suffix (e.g. a locale or index name)
+ * @returns {string} Suffixed path (e.g. 'search-index.de.json')
+ */
+function withPathSuffix(path, suffix) {
+  return path.replace(/(\.json)?$/, `.${suffix}$1`);
+}
+
+/**
+ * Resolve the indexes to build: the top-level options, or one entry per
+ * `indexes` name with the top-level options as shared defaults
+ * @param {Object} options - Merged plugin options
+ * @returns {Array} Targets as {name, options} with normalized options
+ * @throws {Error} When two named indexes write to the same path
+ */
+function resolveIndexTargets(options) {
+  const { indexes, ...shared } = options;
+  if (!indexes || Object.keys(indexes).length === 0) {
+    return [{ name: 'default', options: normalizeOptions(shared) }];
+  }
+
+  const targets = Object.entries(indexes).map(([name, indexOptions]) => {
+    // search-index.json -> search-index.docs.json unless the index sets its own paths
+    const paths = {
+      indexPath: withPathSuffix(shared.indexPath, name),
+      ...(typeof shared.fuseIndex === 'string' && { fuseIndex: withPathSuffix(shared.fuseIndex, name) }),
+      ...(typeof shared.invertedIndex === 'string' && { invertedIndex: withPathSuffix(shared.invertedIndex, name) }),
+      ...(typeof shared.validateLinks === 'string' && { validateLinks: withPathSuffix(shared.validateLinks, name) })
+    };
+    return { name, options: normalizeOptions(deepMerge(shared, { ...paths, ...indexOptions })) };
+  });
+
+  const paths = new Map();
+  for (const { name, options: targetOptions } of targets) {
+    if (paths.has(targetOptions.indexPath)) {
+      const message = `metalsmith-search: indexes '${paths.get(targetOptions.indexPath)}' and '${name}' both write ${targetOptions.indexPath}`;
+      throw new Error(message);
+    }
+    paths.set(targetOptions.indexPath, name);
+  }
+
+  return targets;
 }
 
 /**
@@ -29,46 +168,235 @@ export function createEmptyIndex(files, options, debug) {
  * @param {Object} options - Plugin options
  * @param {Object} metalsmith - Metalsmith instance
  * @param {Function} debug - Debug logging function
- * @returns {Object} Object with setup results
+ * @returns {Object} {targets}: indexes with their files to process ({name, options, filesToProcess}); an index
+ *   matching no page still gets its (empty) index files
  */
 export function setupFileProcessing(files, options, metalsmith, debug) {
   // Normalize and validate options
-  const normalizedOptions = normalizeOptions(options);
+  const targets = resolveIndexTargets(options);
 
-  // Get files that match patterns (trusts pattern option, no binary detection)
-  const filesToProcess = validateFiles(files, normalizedOptions, metalsmith);
+  // Never index our own output, whatever the pattern: every index path of this
+  // build, and files written by other metalsmith-search instances
+  const outputPaths = targets.map((target) => target.options.indexPath);
 
-  if (filesToProcess.length === 0) {
-    createEmptyIndex(files, normalizedOptions, debug);
-    return { shouldExit: true };
+  const pending = [];
+  for (const target of targets) {
+    target.options.ignore = [...target.options.ignore, ...outputPaths];
+
+    // Get files that match patterns (trusts pattern option, no binary detection),
+    // minus drafts and pages opted out via frontmatter
+    const filesToProcess = filterExcludedPages(
+      validateFiles(files, target.options, metalsmith).filter((filename) => !files[filename]?.[INDEX_OUTPUT]),
+      files,
+      target.options,
+      debug
+    );
+
+    // A leading path segment names a language only if the index knows that language
+    const { analysis, localeIndexes, localeSources } = target.options;
+    if ((analysis || localeIndexes) && localeSources.includes('path')) {
+      target.options.pathLocales = collectKnownLanguages(files, filesToProcess, target.options);
+    }
+
+    debug(
+      filesToProcess.length > 0
+        ? `Processing ${filesToProcess.length} matched files for index '${target.name}'`
+        : `No files matched for index '${target.name}', writing an empty index`
+    );
+    pending.push({ ...target, filesToProcess });
   }
 
-  debug(`Processing ${filesToProcess.length} matched files`);
+  return { targets: pending };
+}
 
-  return {
-    shouldExit: false,
-    normalizedOptions,
-    filesToProcess
-  };
+/**
+ * Create and save the final search index, or one index per locale
+ * @param {Array} searchEntries - All collected search entries
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} options - Plugin options
+ * @param {Function} debug - Debug logging function
+ * @returns {Promise<void>}
+ */
+export async function createAndSaveIndex(searchEntries, files, options, debug) {
+  if (options.validateLinks) {
+    checkDeepLinks(searchEntries, files, options, debug);
+  }
+
+  if (options.localeIndexes) {
+    await createLocaleIndexes(searchEntries, files, options, debug);
+    return;
+  }
+
+  await writeSearchIndex(searchEntries, files, options, debug);
+}
+
+/**
+ * Path of the deep link report
+ * @param {Object} options - Plugin options (validateLinks, indexPath)
+ * @returns {string} search-index.links.json next to the index, unless `validateLinks` is a path
+ */
+function getLinkReportPath(options) {
+  return typeof options.validateLinks === 'string' ? options.validateLinks : withPathSuffix(options.indexPath, 'links');
 }
 
 /**
- * Create and save the final search index
+ * Validate the deep links of an index and write the report next to it
  * @param {Array} searchEntries - All collected search entries
  * @param {Object} files - Metalsmith files object
  * @param {Object} options - Plugin options
  * @param {Function} debug - Debug logging function
  * @returns {void}
+ * @throws {Error} When `failOnBrokenLinks` is set and a link is broken
+ */
+function checkDeepLinks(searchEntries, files, options, debug) {
+  const { checked, skipped, broken } = validateDeepLinks(searchEntries, files, options);
+  const reportPath = getLinkReportPath(options);
+
+  const report = {
+    version: '1.0.0',
+    format: 'links',
+    generator: 'metalsmith-search',
+    ...getGeneratedTimestamp(options),
+    index: options.indexPath,
+    checked,
+    skipped,
+    broken
+  };
+  // A build artifact, not served: always readable, never precompressed
+  writeIndexFile(files, reportPath, JSON.stringify(report, null, 2), { precompress: [] });
+  debug(`Checked ${checked} deep links (${broken.length} broken, ${skipped} skipped), report at ${reportPath}`);
+
+  if (broken.length > 0 && options.failOnBrokenLinks) {
+    const [first] = broken;
+    const message = `metalsmith-search: ${broken.length} broken deep link(s) in ${options.indexPath}, e.g. ${first.url} (${first.reason}); see ${reportPath}`;
+    throw new Error(message);
+  }
+}
+
+/**
+ * Write one complete index (with shards and companion files) per page
+ * language, plus a small locale manifest at `indexPath`
+ * @param {Array} searchEntries - All collected search entries (with `language`)
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} options - Plugin options
+ * @param {Function} debug - Debug logging function
+ * @returns {Promise<void>}
+ */
+async function createLocaleIndexes(searchEntries, files, options, debug) {
+  const entriesByLocale = new Map();
+  for (const entry of searchEntries) {
+    const locale = entry.language || options.defaultLanguage;
+    if (!entriesByLocale.has(locale)) {
+      entriesByLocale.set(locale, []);
+    }
+    entriesByLocale.get(locale).push(entry);
+  }
+
+  const locales = [];
+  for (const [locale, entries] of [...entriesByLocale].sort(([a], [b]) => a.localeCompare(b))) {
+    // Companion paths set explicitly (strings) get the locale too, so locales don't overwrite each other
+    const localeOptions = {
+      ...resolveLocaleOptions(options, locale),
+      locale,
+      indexPath: withPathSuffix(options.indexPath, locale),
+      ...(typeof options.fuseIndex === 'string' && { fuseIndex: withPathSuffix(options.fuseIndex, locale) }),
+      ...(typeof options.invertedIndex === 'string' && { invertedIndex: withPathSuffix(options.invertedIndex, locale) })
+    };
+
+    const path = await writeSearchIndex(entries, files, localeOptions, debug);
+    locales.push({ locale, path, totalEntries: entries.length });
+  }
+
+  const manifest = {
+    version: '2.0.0',
+    format: 'locales',
+    generator: 'metalsmith-search',
+    ...getGeneratedTimestamp(options),
+    totalEntries: searchEntries.length,
+    defaultLocale: options.defaultLanguage,
+    locales
+  };
+  writeIndexFile(files, options.indexPath, serializeIndex(manifest, options), options);
+
+  debug(`Created ${locales.length} locale indexes: ${locales.map((entry) => entry.locale).join(', ')}`);
+}
+
+/**
+ * Create and save a single search index with its shards and companion files.
+ * With `hashedFilename` the index goes to `search-index.<hash>.json` (shards
+ * and companion files follow that name) and `indexPath` gets a pointer to it.
+ * @param {Array} searchEntries - Search entries for this index
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} options - Plugin options (indexPath is where this index goes)
+ * @param {Function} debug - Debug logging function
+ * @returns {Promise<string>} Path of the written index
  */
-export function createAndSaveIndex(searchEntries, files, options, debug) {
+async function writeSearchIndex(searchEntries, files, options, debug) {
   // Create the search index
-  const searchIndex = createSearchIndex(searchEntries, options);
+  let searchIndex = createSearchIndex(searchEntries, options);
+  const { entries } = searchIndex;
+  const linkReportPath = options.validateLinks ? getLinkReportPath(options) : null;
+
+  if (options.hashedFilename) {
+    const { contentHash } = searchIndex;
+    const pointerPath = options.indexPath;
+    options = { ...options, indexPath: withPathSuffix(pointerPath, contentHash) };
+    searchIndex.config = createIndexConfig(options);
+
+    const pointer = {
+      version: '2.0.0',
+      format: 'pointer',
+      generator: 'metalsmith-search',
+      ...getGeneratedTimestamp(options),
+      contentHash,
+      path: options.indexPath
+    };
+    writeIndexFile(files, pointerPath, serializeIndex(pointer, options), options);
+    debug(`Created index pointer at ${pointerPath} -> ${options.indexPath}`);
+  }
+
+  // The inverted index covers the full entries, also when they are sharded below
+  const invertedIndexPath = searchIndex.config.invertedIndex;
+  if (invertedIndexPath) {
+    const invertedIndex = createInvertedIndex(entries, options);
+    writeIndexFile(files, invertedIndexPath, JSON.stringify(invertedIndex), options);
+    debug(`Created inverted index at ${invertedIndexPath} (${invertedIndex.terms.length} terms)`);
+  }
+
+  // Sharded mode: the main file becomes a manifest, full entries go to shard files
+  if (options.shardBy) {
+    // Shards never take a companion file's path (a 'links' shard next to the link report)
+    const { config } = searchIndex;
+    const companionPaths = [config.invertedIndex, ...Object.values(config.indexes || {}), linkReportPath].filter(
+      Boolean
+    );
+    const { manifest, shards } = createShardedIndex(searchIndex, options, companionPaths);
+    for (const shard of shards) {
+      writeIndexFile(files, shard.path, serializeIndex(shard.index, options), options);
+    }
+    debug(`Created ${shards.length} search index shards (${options.shardBy})`);
+    searchIndex = manifest;
+  }
+
+  // Report before/after sizes when the output is compacted
+  if (hasCompactOutput(options)) {
+    searchIndex.stats.size = measureIndexSize(searchEntries, searchIndex, options);
+    debug('Search index size:', searchIndex.stats.size);
+  }
 
   // Add the search index file to Metalsmith files
-  files[options.indexPath] = {
-    contents: Buffer.from(JSON.stringify(searchIndex, null, 2)),
-    mode: '0644'
-  };
+  writeIndexFile(files, options.indexPath, serializeIndex(searchIndex, options), options);
 
   debug(`Created search index at ${options.indexPath}`);
+
+  // Add companion indexes for the selected formats (listed in config.indexes);
+  // in sharded mode they cover the full entries, and Fuse the manifest entries it lists
+  if (searchIndex.config.indexes) {
+    for (const { name, path, data } of await runExporters(entries, options, searchIndex.entries)) {
+      writeIndexFile(files, path, JSON.stringify(data), options);
+      debug(`Created ${name} index at ${path}`);
+    }
+  }
+
+  return options.indexPath;
 }
@@ -0,0 +1,399 @@
+/**
+ * Option Schema
+ * Validates plugin options before any file is read, so a typo or a wrong
+ * type fails the build with an actionable message instead of silently
+ * producing an incomplete index:
+ * - unknown option names, with a "did you mean" suggestion
+ * - value types and allowed values
+ * - CSS selectors in `excludeSelectors` and `contentSelector`
+ * - `fuseOptions.keys` naming fields the extractor never produces
+ *
+ * Named indexes and `localeOptions` overrides are validated the same way.
+ */
+import * as cheerio from 'cheerio';
+import { deepMerge } from './config.js';
+import { CORE_ENTRY_FIELDS } from './file-metadata.js';
+import { resolveSlugify } from './anchor-generator.js';
+import { TRAILING_SLASH_MODES } from './url-builder.js';
+import { PRECOMPRESS_ENCODINGS } from './index-helpers.js';
+import {
+  HEAD_METADATA_EXTRA_FIELDS,
+  HEAD_METADATA_FIELDS,
+  HEAD_METADATA_SOURCES
+} from '../processors/head-metadata.js';
+import { LOCALE_SOURCES } from '../processors/locale-detector.js';
+import { SHARD_STRATEGIES } from '../processors/index-sharder.js';
+import { BOOSTED_FIELD } from '../processors/data-attributes.js';
+import { getSearchFields, resolveExporters } from '../processors/exporters.js';
+
+/**
+ * Type checks and their descriptions for error messages
+ * @type {Object<string, Object>}
+ */
+const TYPES = {
+  string: { test: (value) => typeof value === 'string', label: 'a string' },
+  path: { test: (value) => typeof value === 'string' && value.trim() !== '', label: 'a non-empty path' },
+  'string[]': {
+    test: (value) => Array.isArray(value) && value.every((item) => typeof item === 'string'),
+    label: 'an array of strings'
+  },
+  boolean: { test: (value) => typeof value === 'boolean', label: 'a boolean' },
+  false: { test: (value) => value === false, label: 'false' },
+  number: { test: (value) => Number.isFinite(value) && value >= 0, label: 'a number ≥ 0' },
+  count: { test: (value) => Number.isInteger(value) && value > 0, label: 'a whole number ≥ 1' },
+  function: { test: (value) => typeof value === 'function', label: 'a function' },
+  object: { test: (value) => value?.constructor === Object, label: 'an object' },
+  array: { test: (value) => Array.isArray(value), label: 'an array' },
+  null: { test: (value) => value === null, label: 'null' }
+};
+
+const HEADING_LEVELS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Accepted types per option, plus allowed string values (`values`, compared
+ * in lowercase with `lowercase`), whether strings are CSS selectors
+ * (`selector`) and a `check` that throws for values its module rejects.
+ * Every default option needs an entry, or the defaults themselves fail validation.
+ * @type {Object<string, Object>}
+ */
+const OPTION_SCHEMA = {
+  pattern: { types: ['string', 'string[]'] },
+  ignore: { types: ['string', 'string[]'] },
+  indexPath: { types: ['path'] },
+  baseUrl: { types: ['string'] },
+  basePath: { types: ['string'] },
+  trailingSlash: { types: ['string'], values: TRAILING_SLASH_MODES },
+  keepExtension: { types: ['boolean'] },
+  urlFormatter: { types: ['function', 'null'] },
+  indexes: { types: ['object', 'null'] },
+  excludeSelectors: { types: ['string', 'string[]'], selector: true },
+  contentSelector: { types: ['string', 'string[]'], selector: true },
+  excludeFrontmatter: { types: ['object', 'false', 'null'] },
+  excludeRobotsDirectives: { types: ['string', 'string[]'] },
+  sections: { types: ['boolean'] },
+  sectionLevels: { types: ['string', 'string[]'], values: HEADING_LEVELS, lowercase: true },
+  headingLevels: { types: ['string', 'string[]'], values: HEADING_LEVELS, lowercase: true },
+  headingOutline: { types: ['boolean'] },
+  headingSnippetWords: { types: ['number'] },
+  slugify: { types: ['string', 'function'], check: resolveSlugify },
+  injectAnchors: { types: ['boolean'] },
+  anchorLinks: { types: ['boolean'] },
+  anchorLinkClass: { types: ['string'] },
+  anchorLinkSymbol: { types: ['string'] },
+  validateLinks: { types: ['boolean', 'path'] },
+  failOnBrokenLinks: { types: ['boolean'] },
+  metadataFields: { types: ['string', 'string[]', 'object'] },
+  headMetadata: { types: ['boolean', 'string', 'string[]'], values: HEAD_METADATA_FIELDS },
+  headMetadataSources: { types: ['string', 'string[]'], values: HEAD_METADATA_SOURCES },
+  fuseOptions: { types: ['object'] },
+  routedFields: { types: ['string', 'string[]'] },
+  fuseIndex: { types: ['boolean', 'path'] },
+  collections: { types: ['boolean', 'string', 'string[]'] },
+  collectionType: { types: ['boolean', 'object'] },
+  analysis: { types: ['boolean'] },
+  analysisField: { types: ['path'] },
+  defaultLanguage: { types: ['string'] },
+  localeIndexes: { types: ['boolean'] },
+  localeSources: { types: ['string', 'string[]'], values: LOCALE_SOURCES },
+  locales: { types: ['string', 'string[]'] },
+  localeOptions: { types: ['object'] },
+  invertedIndex: { types: ['boolean', 'path'] },
+  format: { types: ['string', 'object', 'array'], check: resolveExporters },
+  miniSearchOptions: { types: ['object'] },
+  flexSearchOptions: { types: ['object'] },
+  shardBy: { types: ['string', 'function', 'null'], values: SHARD_STRATEGIES },
+  shardSize: { types: ['count'] },
+  shardPathDepth: { types: ['count'] },
+  minify: { types: ['boolean'] },
+  maxContentWords: { types: ['number'] },
+  pruneFields: { types: ['boolean'] },
+  precompress: { types: ['boolean', 'string', 'string[]'], values: PRECOMPRESS_ENCODINGS },
+  reproducible: { types: ['boolean'] },
+  hashedFilename: { types: ['boolean'] },
+  cache: { types: ['boolean', 'path'] },
+  workers: { types: ['boolean', 'count'] },
+  strict: { types: ['boolean'] }
+};
+
+/**
+ * Options that apply to the whole build and are ignored inside `indexes`
+ * @type {string[]}
+ */
+const BUILD_OPTIONS = ['indexes', 'cache', 'workers', 'strict'];
+
+/**
+ * Fields of each `headings` item (with `headingOutline`) and of a section's `parent`
+ * @type {Object<string, string[]>}
+ */
+const NESTED_FIELDS = {
+  headings: ['level', 'id', 'title', 'wordOffset', 'snippet', 'parent', 'children'],
+  parent: ['id', 'url', 'title']
+};
+
+/**
+ * Edit distance between two strings, counting a swap of neighbours as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Distance
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_row, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Find the closest known name to a misspelled one
+ * @param {string} name - Unknown name
+ * @param {string[]} candidates - Known names
+ * @returns {string|null} Closest candidate within a few edits, or null
+ */
+function suggest(name, candidates) {
+  const limit = Math.max(1, Math.floor(name.length / 4));
+  let best = null;
+  let bestDistance = Number.POSITIVE_INFINITY;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= limit ? best : null;
+}
+
+/**
+ * Format a "did you mean" hint
+ * @param {string} name - Unknown name
+ * @param {string[]} candidates - Known names
+ * @returns {string} Hint with a leading space, or empty string
+ */
+function didYouMean(name, candidates) {
+  const match = suggest(name, candidates);
+  return match ? ` (did you mean '${match}'?)` : '';
+}
+
+/**
+ * Describe a value's type for error messages
+ * @param {*} value - Any value
+ * @returns {string} Type description (e.g. 'number 3', 'array')
+ */
+function describeValue(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (typeof value === 'string') {
+    return `'${value}'`;
+  }
+  if (typeof value === 'object') {
+    return 'an object';
+  }
+  return `${typeof value} ${String(value)}`;
+}
+
+/**
+ * Check that a CSS selector parses
+ * @param {string} selector - Selector
+ * @returns {string|null} Parser message, or null when valid
+ */
+function getSelectorError(selector) {
+  try {
+    cheerio.load('')(selector);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check one option value against its schema entry
+ * @param {string} path - Option path for messages (e.g. 'indexes.docs.indexPath')
+ * @param {*} value - Option value
+ * @param {Object} spec - Schema entry
+ * @param {string[]} problems - Collects problem descriptions
+ * @returns {void}
+ */
+function checkValue(path, value, spec, problems) {
+  if (!spec.types.some((type) => TYPES[type].test(value))) {
+    const expected = spec.types.map((type) => TYPES[type].label).join(' or ');
+    problems.push(`${path} must be ${expected}, got ${describeValue(value)}`);
+    return;
+  }
+
+  const strings = typeof value === 'string' ? [value] : Array.isArray(value) ? value : [];
+  for (const item of strings) {
+    if (spec.values && !spec.values.includes(spec.lowercase ? item.toLowerCase() : item)) {
+      const expected = spec.values.join(', ');
+      problems.push(`${path} must be one of ${expected} (got '${item}')${didYouMean(item, spec.values)}`);
+    }
+    const selectorError = spec.selector ? getSelectorError(item) : null;
+    if (selectorError) {
+      problems.push(`${path} has an invalid CSS selector '${item}' (${selectorError})`);
+    }
+  }
+
+  try {
+    spec.check?.(value);
+  } catch (error) {
+    problems.push(`${path}: ${error.message.replace(/^metalsmith-search: /, '')}`);
+  }
+}
+
+/**
+ * Names of the fields entries can carry with these options
+ * @param {Object} options - Merged options
+ * @returns {string[]} Top-level entry field names
+ */
+function getEntryFields(options) {
+  const metadataFields = options.metadataFields || [];
+  const metadataNames =
+    metadataFields.constructor === Object
+      ? Object.keys(metadataFields)
+      : [metadataFields].flat().map((path) => String(path).split('.').pop());
+
+  return [
+    ...CORE_ENTRY_FIELDS,
+    ...HEAD_METADATA_EXTRA_FIELDS,
+    BOOSTED_FIELD,
+    'collection',
+    options.analysisField,
+    ...metadataNames,
+    ...[options.routedFields || []].flat()
+  ];
+}
+
+/**
+ * Check that `fuseOptions.keys` name fields the entries can have, including
+ * `data-search-field` names declared in `routedFields`, and only known
+ * sub-fields of extractor fields.
+ * @param {string} path - Option path of fuseOptions for messages
+ * @param {Object} options - Merged options
+ * @param {string[]} problems - Collects problem descriptions
+ * @returns {void}
+ */
+function checkSearchKeys(path, options, problems) {
+  const { keys } = options.fuseOptions || {};
+  if (keys === undefined) {
+    return;
+  }
+  if (!Array.isArray(keys)) {
+    problems.push(`${path}.keys must be an array, got ${describeValue(keys)}`);
+    return;
+  }
+
+  const fields = getEntryFields(options);
+  for (const { name } of getSearchFields({ keys })) {
+    const [field, subfield] = name.split('.');
+    if (!fields.includes(field)) {
+      const hint = didYouMean(field, fields) || ' (list data-search-field names in routedFields)';
+      problems.push(`${path}.keys names '${name}', which is not an entry field${hint}`);
+      continue;
+    }
+
+    if (subfield === undefined || !CORE_ENTRY_FIELDS.includes(field)) {
+      continue;
+    }
+    const nested = NESTED_FIELDS[field];
+    if (!nested) {
+      problems.push(`${path}.keys names '${name}', but '${field}' has no sub-fields`);
+    } else if (!nested.includes(subfield)) {
+      const hint = didYouMean(subfield, nested) || `; ${field} has ${nested.join(', ')}`;
+      problems.push(`${path}.keys names '${name}', which is not an entry field${hint}`);
+    }
+  }
+}
+
+/**
+ * Check an options object (top level, one named index or one locale override)
+ * @param {string} prefix - Path prefix for messages ('' or e.g. 'indexes.docs.')
+ * @param {Object} options - Options as given
+ * @param {string[]} allowed - Option names allowed here
+ * @param {string[]} problems - Collects problem descriptions
+ * @returns {void}
+ */
+function checkOptions(prefix, options, allowed, problems) {
+  for (const [name, value] of Object.entries(options)) {
+    if (!allowed.includes(name)) {
+      const hint = BUILD_OPTIONS.includes(name)
+        ? ` ('${name}' applies to the whole build; set it next to 'indexes')`
+        : didYouMean(name, allowed);
+      problems.push(`unknown option '${prefix}${name}'${hint}`);
+      continue;
+    }
+    if (value !== undefined) {
+      checkValue(`${prefix}${name}`, value, OPTION_SCHEMA[name], problems);
+    }
+  }
+}
+
+/**
+ * Validate the plugin options before the build touches any file
+ * @param {Object} config - User options merged with defaultOptions
+ * @returns {void}
+ * @throws {Error} Listing every problem found
+ */
+export function validateOptions(config) {
+  const problems = [];
+  const optionNames = Object.keys(OPTION_SCHEMA);
+  const indexOptionNames = optionNames.filter((name) => !BUILD_OPTIONS.includes(name));
+
+  checkOptions('', config, optionNames, problems);
+
+  // Scopes: the top level, each named index and each locale override, with
+  // the options it inherits (`own` holds the options set in that scope)
+  const { indexes, ...shared } = config;
+  const scopes = [{ prefix: '', options: shared, own: shared }];
+  for (const [name, indexOptions] of Object.entries(TYPES.object.test(indexes) ? indexes : {})) {
+    if (!TYPES.object.test(indexOptions)) {
+      problems.push(`indexes.${name} must be an object, got ${describeValue(indexOptions)}`);
+      continue;
+    }
+    const prefix = `indexes.${name}.`;
+    checkOptions(prefix, indexOptions, indexOptionNames, problems);
+    scopes.push({ prefix, options: deepMerge(shared, indexOptions), own: indexOptions });
+  }
+
+  for (const { prefix, options, own } of [...scopes]) {
+    for (const [locale, overrides] of Object.entries(TYPES.object.test(own.localeOptions) ? own.localeOptions : {})) {
+      if (!TYPES.object.test(overrides)) {
+        problems.push(`${prefix}localeOptions.${locale} must be an object, got ${describeValue(overrides)}`);
+        continue;
+      }
+      const localePrefix = `${prefix}localeOptions.${locale}.`;
+      checkOptions(localePrefix, overrides, indexOptionNames, problems);
+      scopes.push({ prefix: localePrefix, options: deepMerge(options, overrides), own: overrides });
+    }
+  }
+
+  for (const { prefix, options } of scopes) {
+    if (TYPES.object.test(options.fuseOptions)) {
+      checkSearchKeys(`${prefix}fuseOptions`, options, problems);
+    }
+  }
+
+  if (problems.length === 1) {
+    throw new Error(`metalsmith-search: ${problems[0]}`);
+  }
+  if (problems.length > 1) {
+    const message = `metalsmith-search: ${problems.length} option problems:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`;
+    throw new Error(message);
+  }
+}
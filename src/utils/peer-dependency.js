@@ -0,0 +1,22 @@
+/**
+ * Optional peer dependency loading
+ * Search libraries are only imported when an option needs them, so sites
+ * install just the ones they use.
+ */
+
+/**
+ * Import an optional peer dependency from the consumer's dependencies
+ * @param {string} name - Package name (e.g. 'fuse.js')
+ * @param {string} feature - Option that needs it, for the error message (e.g. 'the fuseIndex option')
+ * @returns {Promise<*>} The package's default export (or the module namespace if it has none)
+ * @throws {Error} When the package is not installed
+ */
+export async function importPeerDependency(name, feature) {
+  try {
+    const module = await import(name);
+    return module.default ?? module;
+  } catch (error) {
+    const message = `metalsmith-search: ${feature} requires ${name}. Install it with \`npm install ${name}\`.`;
+    throw new Error(message, { cause: error });
+  }
+}
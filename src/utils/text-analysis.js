@@ -0,0 +1,273 @@
+/**
+ * Text Analysis Utilities
+ * Language-aware normalization for search terms: tokenize, lowercase, fold
+ * diacritics, drop stop words and apply a light stemmer.
+ *
+ * Dependency-free so the same code can analyze queries in the browser
+ * (`import { analyzeText } from 'metalsmith-search/analyzer'`).
+ */
+
+/**
+ * Term pattern: runs of letters/digits, keeping inner joiners and trailing
+ * +/# so terms like node.js, s&p, o'neil, c++ and c# survive intact
+ * @type {string}
+ */
+export const TERM_PATTERN = String.raw`[\p{L}\p{N}]+(?:['.&+-][\p{L}\p{N}]+)*[+#]*`;
+
+/**
+ * Stop words per language, written without diacritics (matched after folding).
+ * Deliberately short: only words too common to help ranking.
+ * @type {Object<string, Set<string>>}
+ */
+const STOP_WORDS = {
+  en: new Set(
+    'a an and are as at be but by for from has have in into is it its of on or that the their then there these they this to was were will with'.split(
+      ' '
+    )
+  ),
+  de: new Set(
+    'aber als am an auch auf aus bei bin bis das dass dem den der des die du ein eine einem einen einer eines er es fur hat ich ihr im in ist mit nach nicht noch oder sich sie sind so und uber um von vor war wie wir zu zum zur'.split(
+      ' '
+    )
+  ),
+  fr: new Set(
+    'a au aux avec ce ces dans de des du elle en est et il ils je la le les leur lui mais me ne nous on ou par pas pour qu que qui sa se ses son sur ta te tu un une vous'.split(
+      ' '
+    )
+  ),
+  es: new Set(
+    'a al como con de del el ella en es esta este la las le les lo los mas no o para pero por que se sin su sus un una uno y'.split(
+      ' '
+    )
+  )
+};
+
+/**
+ * Languages with stop words and a stemmer
+ * @type {string[]}
+ */
+export const SUPPORTED_LANGUAGES = Object.keys(STOP_WORDS);
+
+/**
+ * Letters NFD decomposition does not fold
+ * @type {Object<string, string>}
+ */
+const FOLDED_LETTERS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ł: 'l', ı: 'i' };
+
+/**
+ * Reduce a language tag to its primary subtag
+ * @param {string} tag - Language tag (e.g. 'de-AT', 'en_US')
+ * @returns {string} Lowercase primary subtag (e.g. 'de'), or empty string
+ */
+export function getPrimaryLanguage(tag) {
+  return String(tag || '')
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+}
+
+/**
+ * Remove diacritics (é → e, ü → u, ß → ss)
+ * @param {string} text - Lowercase text
+ * @returns {string} Folded text
+ */
+export function foldDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .replace(/[ßæœøđłı]/g, (letter) => FOLDED_LETTERS[letter]);
+}
+
+/**
+ * Split text into lowercase terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in document order
+ */
+export function tokenize(text) {
+  return (
+    String(text || '')
+      .toLowerCase()
+      .match(new RegExp(TERM_PATTERN, 'gu')) || []
+  );
+}
+
+/**
+ * Light English stemmer: plurals, -ing, -ed and final -e
+ * (running → run, stopped → stop, caches → cach, cached → cach)
+ * @param {string} term - Folded lowercase term
+ * @returns {string} Stem
+ */
+function stemEnglish(term) {
+  let stem = term;
+
+  if (stem.length > 4 && stem.endsWith('ies')) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (stem.endsWith('sses')) {
+    stem = stem.slice(0, -2);
+  } else if (stem.length > 3 && stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  const suffix = ['ing', 'ed'].find((ending) => stem.endsWith(ending));
+  if (suffix) {
+    const base = stem.slice(0, -suffix.length);
+    if (base.length >= 3 && /[aeiouy]/.test(base)) {
+      // Undo consonant doubling (runn → run), except for ll, ss, zz
+      stem = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+    }
+  }
+
+  return stem.length > 4 && stem.endsWith('e') ? stem.slice(0, -1) : stem;
+}
+
+/**
+ * Light German stemmer (after J. Savoy's light stemmer, as used by Lucene)
+ * @param {string} term - Folded lowercase term (umlauts already removed)
+ * @returns {string} Stem
+ */
+function stemGerman(term) {
+  let stem = term;
+
+  // Step 1: inflectional endings
+  if (stem.length > 5 && stem.endsWith('ern')) {
+    stem = stem.slice(0, -3);
+  } else if (stem.length > 4 && /(em|en|er|es)$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.length > 3 && stem.endsWith('e')) {
+    stem = stem.slice(0, -1);
+  } else if (stem.length > 3 && /[bdfghklmnrt]s$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Step 2: comparative / superlative endings
+  if (stem.length > 5 && stem.endsWith('est')) {
+    stem = stem.slice(0, -3);
+  } else if (stem.length > 4 && /(er|en)$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.length > 5 && /[bdfghklmnt]st$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  }
+
+  return stem;
+}
+
+/**
+ * French suffixes removed by the light stemmer, longest first
+ * @type {string[]}
+ */
+const FRENCH_SUFFIXES = [
+  'issements',
+  'issement',
+  'ements',
+  'ement',
+  'ations',
+  'ation',
+  'euses',
+  'euse',
+  'ives',
+  'ive',
+  'ifs'
+];
+
+/**
+ * Light French stemmer: plurals, feminine forms and common derivations
+ * @param {string} term - Folded lowercase term
+ * @returns {string} Stem
+ */
+function stemFrench(term) {
+  if (term.length < 5) {
+    return term;
+  }
+
+  let stem = term;
+
+  // Plurals: chevaux → cheval, bateaux → bateau, maisons → maison
+  if (stem.endsWith('eaux')) {
+    stem = stem.slice(0, -1);
+  } else if (stem.endsWith('aux')) {
+    stem = `${stem.slice(0, -3)}al`;
+  } else if (/[sx]$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  const suffix = FRENCH_SUFFIXES.find((ending) => stem.endsWith(ending) && stem.length - ending.length >= 3);
+  if (suffix) {
+    return stem.slice(0, -suffix.length);
+  }
+
+  // Feminine and participle endings: publiee → publi, grande → grand
+  if (stem.length > 4 && /(ee|er|e)$/.test(stem)) {
+    stem = stem.replace(/(ee|er|e)$/, '');
+  }
+
+  return stem;
+}
+
+/**
+ * Light Spanish stemmer (after J. Savoy's light stemmer, as used by Lucene)
+ * @param {string} term - Folded lowercase term
+ * @returns {string} Stem
+ */
+function stemSpanish(term) {
+  if (term.length < 5) {
+    return term;
+  }
+
+  if (/[oae]$/.test(term)) {
+    return term.slice(0, -1);
+  }
+  if (term.endsWith('eses')) {
+    return term.slice(0, -2);
+  }
+  if (term.endsWith('ces')) {
+    // luces → luz
+    return `${term.slice(0, -3)}z`;
+  }
+  if (/[oae]s$/.test(term)) {
+    return term.slice(0, -2);
+  }
+
+  return term;
+}
+
+/**
+ * Stemmers per language
+ * @type {Object<string, Function>}
+ */
+const STEMMERS = {
+  en: stemEnglish,
+  de: stemGerman,
+  fr: stemFrench,
+  es: stemSpanish
+};
+
+/**
+ * Reduce a single folded term to its stem
+ * @param {string} term - Folded lowercase term
+ * @param {string} language - Primary language subtag
+ * @returns {string} Stem (the term itself for unsupported languages)
+ */
+export function stem(term, language) {
+  const stemmer = STEMMERS[language];
+  // Leave numbers and technical tokens (c++, node.js) alone
+  return stemmer && /^\p{L}+$/u.test(term) ? stemmer(term) : term;
+}
+
+/**
+ * Run the full analysis pipeline: tokenize, lowercase, fold diacritics,
+ * drop stop words and stem. Languages without a stop word list or stemmer
+ * only get tokenizing and folding. Short terms (go, ui, c#) are kept.
+ *
+ * @param {string} text - Text to analyze
+ * @param {string} language - Language tag (e.g. 'en', 'de-AT')
+ * @returns {string[]} Analyzed terms in document order
+ */
+export function analyzeText(text, language) {
+  const primary = getPrimaryLanguage(language);
+  const stopWords = STOP_WORDS[primary];
+
+  return tokenize(text)
+    .map(foldDiacritics)
+    .filter((term) => !stopWords?.has(term))
+    .map((term) => stem(term, primary));
+}
@@ -0,0 +1,46 @@
+/**
+ * Text Helper Utilities
+ * Shared helpers for turning extracted text into excerpts and word counts.
+ */
+
+const EXCERPT_LENGTH = 250;
+
+/**
+ * Collapse runs of whitespace into single spaces and trim the ends.
+ * @param {string} text - Raw text (e.g. concatenated Cheerio text nodes)
+ * @returns {string} Normalized text
+ */
+export function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Create an excerpt from text content.
+ * Takes the first 250 characters, cut back to a word boundary, with an
+ * ellipsis appended when the text was shortened.
+ * @param {string} text - Normalized text content
+ * @returns {string} Excerpt
+ */
+export function createExcerpt(text) {
+  return text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}...` : text;
+}
+
+/**
+ * Count whitespace-separated words.
+ * @param {string} text - Normalized text content
+ * @returns {number} Word count
+ */
+export function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Create a word-limited snippet, with an ellipsis appended when the text was shortened.
+ * @param {string} text - Normalized text content
+ * @param {number} maxWords - Maximum number of words
+ * @returns {string} Snippet
+ */
+export function createSnippet(text, maxWords) {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.length > maxWords ? `${words.slice(0, maxWords).join(' ')}...` : text;
+}
@@ -0,0 +1,123 @@
+/**
+ * URL Builder Utilities
+ * Turns an output filename into the URL a search result links to,
+ * following the host's conventions (base path, trailing slashes, extensions).
+ */
+
+/**
+ * Accepted `trailingSlash` values
+ * @type {string[]}
+ */
+export const TRAILING_SLASH_MODES = ['always', 'never', 'preserve'];
+
+// Absolute URLs (https://..., //cdn...) are used as-is
+const ABSOLUTE_URL = /^(?:[a-z][a-z0-9+.-]*:)?\/\//i;
+
+/**
+ * Normalize a base path to '' or '/segment/...' without a trailing slash
+ * @param {string} basePath - Base path (e.g. 'docs/v2/', '/docs/v2')
+ * @returns {string} Normalized base path (e.g. '/docs/v2')
+ */
+export function normalizeBasePath(basePath) {
+  const trimmed = String(basePath || '')
+    .trim()
+    .replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Derive the site-relative path for a file
+ * - foo/bar.html -> /foo/bar (or /foo/bar/ with trailingSlash: 'always')
+ * - foo/index.html -> /foo (or /foo/ with 'always' or 'preserve')
+ * - index.html -> /
+ * - keepExtension: the file path itself (/foo/bar.html, /foo/index.html)
+ * @param {string} filename - File path relative to the destination
+ * @param {Object} options - Normalized plugin options
+ * @returns {string} Site-relative path starting with '/'
+ */
+function formatFilePath(filename, options) {
+  const normalized = filename.replace(/\\/g, '/').replace(/^\/+/, '');
+  if (options.keepExtension) {
+    return `/${normalized}`;
+  }
+
+  const withoutExtension = normalized.replace(/\.html$/, '');
+  const isIndex = withoutExtension === 'index' || withoutExtension.endsWith('/index');
+  const path = `/${isIndex ? withoutExtension.replace(/\/?index$/, '') : withoutExtension}`;
+
+  if (path === '/') {
+    return path;
+  }
+
+  const slash = options.trailingSlash === 'always' || (options.trailingSlash === 'preserve' && isIndex);
+  return slash ? `${path}/` : path;
+}
+
+/**
+ * Prefix a site-relative path with `baseUrl` and `basePath`
+ * @param {string} path - Site-relative path (absolute URLs are returned unchanged)
+ * @param {Object} options - Normalized plugin options
+ * @returns {string} Final URL
+ */
+function applyBase(path, options) {
+  if (ABSOLUTE_URL.test(path)) {
+    return path;
+  }
+
+  const prefix = `${String(options.baseUrl || '').replace(/\/+$/, '')}${normalizeBasePath(options.basePath)}`;
+  const relative = path.startsWith('/') ? path : `/${path}`;
+  return `${prefix}${relative}`;
+}
+
+/**
+ * Build the URL of a page entry. `urlFormatter(filename, file)` replaces the
+ * filename-based derivation; either way the result is prefixed with
+ * `baseUrl` / `basePath` unless it is already absolute.
+ * @param {string} filename - File path relative to the destination
+ * @param {Object} file - Metalsmith file object
+ * @param {Object} options - Normalized plugin options
+ * @returns {string} Page URL
+ */
+export function buildPageUrl(filename, file, options) {
+  const path =
+    typeof options.urlFormatter === 'function'
+      ? String(options.urlFormatter(filename, file) ?? '')
+      : formatFilePath(filename, options);
+
+  return applyBase(path, options);
+}
+
+/**
+ * Remove a URL prefix that ends at a path boundary (/docs matches /docs/a, not /docsx)
+ * @param {string} url - URL or path
+ * @param {string} prefix - Prefix to remove
+ * @returns {string|null} Remainder, or null when the prefix does not match
+ */
+function stripPrefix(url, prefix) {
+  if (!prefix || !url.startsWith(prefix)) {
+    return null;
+  }
+
+  const rest = url.slice(prefix.length);
+  return rest === '' || /^[/?#]/.test(rest) ? rest : null;
+}
+
+/**
+ * Reverse of applyBase: strip `baseUrl` / `basePath` from an entry URL
+ * @param {string} url - Entry URL
+ * @param {Object} options - Normalized plugin options
+ * @returns {string|null} Site-relative path with any #fragment, or null for URLs on other sites
+ */
+export function toSitePath(url, options) {
+  let path = String(url || '');
+
+  const withoutOrigin = stripPrefix(path, String(options.baseUrl || '').replace(/\/+$/, ''));
+  if (withoutOrigin !== null) {
+    path = withoutOrigin;
+  } else if (ABSOLUTE_URL.test(path)) {
+    return null;
+  }
+
+  path = stripPrefix(path, normalizeBasePath(options.basePath)) ?? path;
+  return path.startsWith('/') ? path : `/${path}`;
+}
@@ -0,0 +1,121 @@
+/**
+ * Text analysis tests
+ * Verifies tokenizing, diacritic folding, stop words, stemming and the analyzed entry field
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import Fuse from 'fuse.js';
+import search from '../src/index.js';
+import { analyzeText, foldDiacritics, stem, tokenize } from '../src/utils/text-analysis.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Build the basic fixtures and parse the main index
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Search index
+ */
+async function buildIndex(options) {
+  const files = await Metalsmith(fixtures).use(search(options)).process();
+  return JSON.parse(files['search-index.json'].contents.toString());
+}
+
+describe('Text analysis', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should keep short and technical tokens', () => {
+    assert.deepEqual(tokenize('Go, UI and C# with node.js or C++.'), [
+      'go',
+      'ui',
+      'and',
+      'c#',
+      'with',
+      'node.js',
+      'or',
+      'c++'
+    ]);
+    assert.deepEqual(analyzeText('Go, UI and C# with node.js', 'en'), ['go', 'ui', 'c#', 'node.js']);
+  });
+
+  it('should fold diacritics', () => {
+    assert.equal(foldDiacritics('crème brûlée straße'), 'creme brulee strasse');
+    assert.deepEqual(analyzeText('Café', 'fr'), analyzeText('cafe', 'fr'));
+  });
+
+  it('should stem English inflections to a shared stem', () => {
+    assert.equal(stem('running', 'en'), 'run');
+    assert.equal(stem('runs', 'en'), 'run');
+    assert.equal(stem('stopped', 'en'), 'stop');
+    assert.equal(stem('libraries', 'en'), 'library');
+    assert.equal(stem('caching', 'en'), stem('caches', 'en'));
+    assert.equal(stem('string', 'en'), 'string');
+  });
+
+  it('should stem German, French and Spanish', () => {
+    assert.equal(stem('dateien', 'de'), stem('datei', 'de'));
+    assert.equal(stem('chevaux', 'fr'), 'cheval');
+    assert.equal(stem('maisons', 'fr'), stem('maison', 'fr'));
+    assert.equal(stem('luces', 'es'), 'luz');
+    assert.equal(stem('libros', 'es'), stem('libro', 'es'));
+  });
+
+  it('should drop stop words per language and only tokenize unknown languages', () => {
+    assert.deepEqual(analyzeText('Die Katze und der Hund', 'de-AT'), ['katz', 'hund']);
+    assert.deepEqual(analyzeText('the cat', 'ja'), ['the', 'cat']);
+  });
+
+  it('should not add analysis fields by default', async () => {
+    const index = await buildIndex({});
+
+    assert.ok(index.entries.every((entry) => entry.normalized === undefined && entry.language === undefined));
+    assert.equal(index.config.fuseOptions.minMatchCharLength, 3);
+  });
+
+  it('should add an analyzed field using the page language', async () => {
+    const index = await buildIndex({ analysis: true });
+    const german = index.entries.find((entry) => entry.url === '/german');
+    const english = index.entries.find((entry) => entry.url === '/sidebar-layout');
+
+    assert.equal(german.language, 'de');
+    assert.ok(german.content.includes('Große Dateien'), 'content stays intact');
+    assert.ok(german.normalized.includes('gross'));
+    assert.ok(!german.normalized.split(' ').includes('die'));
+    assert.equal(english.language, 'en');
+
+    const realWorld = index.entries.find((entry) => entry.url === '/real-world');
+    assert.equal(realWorld.language, 'en', 'falls back to defaultLanguage');
+
+    assert.ok(index.config.fuseOptions.keys.some((key) => key.name === 'normalized'));
+    assert.equal(index.config.fuseOptions.minMatchCharLength, 1);
+  });
+
+  it('should find inflected forms through the analyzed field', async () => {
+    const index = await buildIndex({
+      analysis: true,
+      defaultLanguage: 'de',
+      fuseOptions: { keys: ['normalized'], threshold: 0, ignoreLocation: true, useExtendedSearch: true }
+    });
+    const fuse = new Fuse(index.entries, index.config.fuseOptions);
+    const query = analyzeText('Datei', 'de')
+      .map((term) => `'${term}`)
+      .join(' ');
+
+    assert.equal(fuse.search(query)[0].item.url, '/german');
+  });
+
+  it('should keep a user-set minMatchCharLength and analysis field', async () => {
+    const index = await buildIndex({
+      analysis: true,
+      analysisField: 'terms',
+      fuseOptions: { minMatchCharLength: 2 }
+    });
+
+    assert.equal(index.config.fuseOptions.minMatchCharLength, 2);
+    assert.ok(index.entries.every((entry) => typeof entry.terms === 'string'));
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Anchor injection tests
+ * Verifies that generated heading ids can be written back into the rendered HTML
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as cheerio from 'cheerio';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'anchors');
+
+/**
+ * Run the plugin against the anchors fixtures
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Metalsmith files
+ */
+function build(options) {
+  return Metalsmith(fixtures).use(search(options)).process();
+}
+
+/**
+ * Get the page entry for a URL
+ * @param {Object} files - Metalsmith files
+ * @param {string} url - Page URL
+ * @returns {Object} Page entry
+ */
+function getPage(files, url) {
+  const index = JSON.parse(files['search-index.json'].contents.toString());
+  return index.entries.find((entry) => entry.id === `page:${url}`);
+}
+
+describe('Anchor injection', () => {
+  it('should leave the HTML untouched by default', async () => {
+    const files = await build({});
+
+    assert.equal(files['guide.html'].contents.toString(), readFileSync(join(fixtures, 'src', 'guide.html'), 'utf8'));
+  });
+
+  it('should not reuse ids of other elements for generated heading ids', async () => {
+    const files = await build({});
+    const ids = getPage(files, '/guide').headings.map((heading) => heading.id);
+
+    assert.deepEqual(ids, ['guide', 'install', 'configuration', 'usage-1']);
+  });
+
+  it('should write index ids into headings without an id', async () => {
+    const files = await build({ injectAnchors: true });
+    const $ = cheerio.load(files['guide.html'].contents.toString());
+
+    for (const heading of getPage(files, '/guide').headings) {
+      assert.equal($(`#${heading.id}`).text(), heading.title);
+    }
+    assert.equal($('h2').first().attr('id'), 'install');
+    assert.equal($('div#usage').length, 1, 'existing ids are kept');
+    assert.equal($('nav').length, 1, 'excluded regions stay in the page');
+    assert.equal($('script').length, 1, 'scripts stay in the page');
+    assert.equal($('a.heading-anchor').length, 0);
+  });
+
+  it('should not rewrite pages without generated ids', async () => {
+    const files = await build({ injectAnchors: true });
+
+    assert.equal(files['plain.html'].contents.toString(), readFileSync(join(fixtures, 'src', 'plain.html'), 'utf8'));
+  });
+
+  it('should keep the doctype and head of documents without an <html> tag', async () => {
+    const files = await build({ injectAnchors: true });
+    const html = files['implicit-html.html'].contents.toString();
+
+    assert.match(html, /^<!DOCTYPE html><html><head><meta charset="UTF-8">\s*<title>Implicit<\/title>/);
+    assert.ok(html.includes('<h2 id="install">Install</h2>'));
+
+    const fragment = { 'part.html': { contents: Buffer.from('<h2>Usage</h2><p>Run it.</p>') } };
+    await Metalsmith(fixtures).run(fragment, [search({ injectAnchors: true })]);
+    assert.equal(fragment['part.html'].contents.toString(), '<h2 id="usage">Usage</h2><p>Run it.</p>');
+  });
+
+  it('should append self-links that later runs ignore', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ injectAnchors: true, anchorLinks: true, anchorLinkSymbol: '¶' }))
+      .use(search({ indexPath: 'second.json', injectAnchors: true, anchorLinks: true }))
+      .process();
+    const $ = cheerio.load(files['guide.html'].contents.toString());
+    const $link = $('#configuration a.heading-anchor');
+
+    assert.equal($link.attr('href'), '#configuration');
+    assert.equal($link.attr('aria-hidden'), 'true');
+    assert.equal($link.text(), '¶');
+    assert.equal($('#install a.heading-anchor').length, 1, 'one self-link per heading');
+
+    const second = JSON.parse(files['second.json'].contents.toString());
+    const page = second.entries.find((entry) => entry.id === 'page:/guide');
+    assert.ok(page.headings.every((heading) => !heading.title.includes('¶')));
+    assert.deepEqual(
+      page.headings.map((heading) => heading.id),
+      getPage(files, '/guide').headings.map((heading) => heading.id)
+    );
+  });
+});
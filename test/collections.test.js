@@ -0,0 +1,103 @@
+/**
+ * Collections integration tests
+ * Verifies entries tagged from @metalsmith/collections metadata
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Minimal stand-in for @metalsmith/collections: lists file objects under
+ * `metadata.collections[name]` and sets `file.collection` on each member
+ * @param {Object} definitions - Collection name -> glob pattern
+ * @returns {Function} Metalsmith plugin
+ */
+function collections(definitions) {
+  return (files, metalsmith) => {
+    const metadata = {};
+    for (const [name, pattern] of Object.entries(definitions)) {
+      metadata[name] = metalsmith.match(pattern, Object.keys(files)).map((filename) => {
+        const file = files[filename];
+        file.collection = [...(file.collection || []), name];
+        return file;
+      });
+    }
+    metalsmith.metadata({ collections: metadata });
+  };
+}
+
+/**
+ * Build the basic fixtures with collections and parse the main index
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Search index
+ */
+async function buildIndex(options) {
+  const files = await Metalsmith(fixtures)
+    .use(collections({ guides: ['sidebar-layout.html', 'sample.html'], components: 'component-page.html' }))
+    .use(search(options))
+    .process();
+  return JSON.parse(files['search-index.json'].contents.toString());
+}
+
+/**
+ * Find an entry by URL
+ * @param {Object} index - Search index
+ * @param {string} url - Entry URL
+ * @returns {Object} Entry
+ */
+function entryAt(index, url) {
+  return index.entries.find((entry) => entry.url === url);
+}
+
+describe('Collections integration', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should not tag entries by default', async () => {
+    const index = await buildIndex({});
+
+    assert.equal(entryAt(index, '/sample').collection, undefined);
+    assert.equal(index.stats.entriesByCollection, undefined);
+  });
+
+  it('should tag entries with their collection names and count them', async () => {
+    const index = await buildIndex({ collections: true });
+
+    assert.deepEqual(entryAt(index, '/sample').collection, ['guides']);
+    assert.deepEqual(entryAt(index, '/component-page').collection, ['components']);
+    assert.equal(entryAt(index, '/').collection, undefined);
+    assert.equal(entryAt(index, '/sample').type, 'page', 'type is unchanged without collectionType');
+    assert.deepEqual(index.stats.entriesByCollection, { guides: 2, components: 1 });
+  });
+
+  it('should limit tagging to the listed collections', async () => {
+    const index = await buildIndex({ collections: 'components' });
+
+    assert.equal(entryAt(index, '/sample').collection, undefined);
+    assert.deepEqual(entryAt(index, '/component-page').collection, ['components']);
+  });
+
+  it('should set the page type from the collection and keep section types', async () => {
+    const index = await buildIndex({ collections: true, collectionType: { guides: 'guide' }, sections: true });
+
+    assert.equal(entryAt(index, '/sample').type, 'guide');
+    assert.equal(entryAt(index, '/component-page').type, 'page', 'unmapped collections keep page');
+
+    const sections = index.entries.filter((entry) => entry.parent?.url === '/sidebar-layout');
+    assert.ok(sections.length > 0);
+    assert.ok(sections.every((entry) => entry.type === 'section' && entry.collection[0] === 'guides'));
+    assert.equal(index.stats.entriesByType.guide, 2);
+  });
+
+  it('should use the collection name as type with collectionType: true', async () => {
+    const index = await buildIndex({ collections: true, collectionType: true });
+
+    assert.equal(entryAt(index, '/component-page').type, 'components');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Compact output tests
+ * Verifies minification, content truncation, field pruning and precompression
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { brotliDecompressSync, gunzipSync } from 'node:zlib';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Run the plugin against the basic fixtures
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Metalsmith files
+ */
+function build(options) {
+  return Metalsmith(fixtures).use(search(options)).process();
+}
+
+describe('compact output', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should pretty-print and omit size stats by default', async () => {
+    const files = await build({});
+    const json = files['search-index.json'].contents.toString();
+
+    assert.ok(json.includes('\n  "version"'));
+    assert.equal(JSON.parse(json).stats.size, undefined);
+    assert.equal(files['search-index.json.gz'], undefined);
+  });
+
+  it('should minify index files', async () => {
+    const files = await build({ minify: true });
+    const json = files['search-index.json'].contents.toString();
+
+    assert.ok(!json.includes('\n'));
+    const index = JSON.parse(json);
+    assert.ok(index.stats.size.written < index.stats.size.original);
+    assert.equal(
+      index.stats.size.written,
+      Buffer.byteLength(JSON.stringify({ ...index, stats: { ...index.stats, size: undefined } }))
+    );
+  });
+
+  it('should truncate content to maxContentWords', async () => {
+    const files = await build({ maxContentWords: 5 });
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    for (const entry of index.entries) {
+      assert.ok(entry.content.split(' ').filter(Boolean).length <= 5, entry.id);
+    }
+    assert.ok(
+      index.entries.some((entry) => entry.wordCount > 5),
+      'wordCount reflects the full page'
+    );
+  });
+
+  it('should drop fields that no search key references', async () => {
+    const files = await build({
+      pruneFields: true,
+      fuseOptions: { keys: [{ name: 'title', weight: 2 }, 'content'] }
+    });
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    for (const entry of index.entries) {
+      assert.deepEqual(Object.keys(entry).sort(), ['content', 'id', 'title', 'type', 'url']);
+    }
+  });
+
+  it('should write gzip and brotli siblings for every index file', async () => {
+    const files = await build({ precompress: true, shardBy: 'path' });
+    const manifest = JSON.parse(files['search-index.json'].contents.toString());
+    const paths = ['search-index.json', ...manifest.shards.map((shard) => shard.path)];
+
+    for (const path of paths) {
+      const raw = files[path].contents;
+      assert.deepEqual(gunzipSync(files[`${path}.gz`].contents), raw);
+      assert.deepEqual(brotliDecompressSync(files[`${path}.br`].contents), raw);
+    }
+
+    assert.ok(manifest.stats.size.gzip > 0);
+    assert.ok(manifest.stats.size.brotli > 0);
+  });
+
+  it('should accept a single precompress encoding', async () => {
+    const files = await build({ precompress: 'gzip' });
+
+    assert.ok(files['search-index.json.gz']);
+    assert.equal(files['search-index.json.br'], undefined);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import Metalsmith from 'metalsmith';
 import path from 'node:path';
@@ -8,6 +8,9 @@ import search from '../src/index.js';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 describe('metalsmith-search (Comprehensive)', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
   let metalsmith;
 
   beforeEach(() => {
@@ -72,7 +75,7 @@ describe('metalsmith-search (Comprehensive)', () => {
         });
     });
 
-    it('should handle unknown options gracefully', (_t, done) => {
+    it('should reject unknown options', (_t, done) => {
       metalsmith
         .use(
           search({
@@ -80,12 +83,15 @@ describe('metalsmith-search (Comprehensive)', () => {
             anotherFakeOption: 'test'
           })
         )
-        .process((err, files) => {
-          if (err) {
-            return done(err);
+        .process((err) => {
+          try {
+            assert.ok(err, 'expected the build to fail');
+            assert.match(err.message, /unknown option 'nonexistentOption'/);
+            assert.match(err.message, /unknown option 'anotherFakeOption'/);
+            done();
+          } catch (error) {
+            done(error);
           }
-          assert.ok(files['search-index.json']);
-          done();
         });
     });
   });
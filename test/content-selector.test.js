@@ -0,0 +1,79 @@
+/**
+ * Content selector tests
+ * Verifies that extraction can be scoped to the main content region
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Build the sidebar-layout fixture and return its entries
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Array>} Index entries
+ */
+async function buildEntries(options) {
+  const files = await Metalsmith(fixtures)
+    .use(search({ pattern: '**/sidebar-layout.html', ...options }))
+    .process();
+  return JSON.parse(files['search-index.json'].contents.toString()).entries;
+}
+
+describe('Content Selector', () => {
+  it('should index the whole document without a content selector', async () => {
+    const [entry] = await buildEntries({});
+
+    assert(entry.content.includes('cookies'));
+    assert(entry.headings.some((h) => h.title === 'Related Posts'));
+  });
+
+  it('should only index the selected region', async () => {
+    const [entry] = await buildEntries({ contentSelector: 'article' });
+
+    assert(!entry.content.includes('cookies'), 'Should drop the cookie banner');
+    assert(!entry.content.includes('Another article'), 'Should drop the sidebar');
+    assert(entry.content.includes('revalidate HTML. Immutable Assets'));
+    assert(entry.content.includes('forever. Revalidation'), 'Should separate multiple matches');
+    assert.deepStrictEqual(
+      entry.headings.map((h) => h.title),
+      ['Caching Strategies', 'Immutable Assets', 'Revalidation']
+    );
+    // No <title>: the fallback h1 comes from the content region
+    assert.strictEqual(entry.title, 'Caching Strategies');
+  });
+
+  it('should use the first selector in the fallback chain that matches', async () => {
+    const [entry] = await buildEntries({ contentSelector: ['main', '[role=main]', 'article', 'body'] });
+
+    assert(!entry.content.includes('cookies'));
+    assert(entry.content.startsWith('Caching Strategies'));
+  });
+
+  it('should not count nested matches twice', async () => {
+    const [entry] = await buildEntries({ contentSelector: 'article, section' });
+
+    assert.strictEqual(entry.content.match(/Fingerprinted/g).length, 1);
+  });
+
+  it('should fall back to the whole document when nothing matches', async () => {
+    const [entry] = await buildEntries({ contentSelector: ['main'] });
+
+    assert(entry.content.includes('cookies'));
+  });
+
+  it('should scope section entries to the content region', async () => {
+    const entries = await buildEntries({ contentSelector: 'article', sections: true });
+    const sections = entries.filter((e) => e.type === 'section');
+
+    assert.deepStrictEqual(
+      sections.map((s) => s.title),
+      ['Immutable Assets', 'Revalidation']
+    );
+    assert.strictEqual(sections[1].content, 'Use ETags so browsers can revalidate cheaply.');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Data attribute tests
+ * Verifies in-markup control via data-search-* attributes
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Build the data-attributes fixture and return the index
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Parsed search index
+ */
+async function buildIndex(options) {
+  const files = await Metalsmith(fixtures)
+    .use(search({ pattern: '**/data-attributes.html', ...options }))
+    .process();
+  return JSON.parse(files['search-index.json'].contents.toString());
+}
+
+describe('Data Attributes', () => {
+  it('should drop data-search-ignore elements and their headings', async () => {
+    const [entry] = (await buildIndex({})).entries;
+
+    assert(!entry.content.includes('Sign up today'));
+    assert(!entry.headings.some((h) => h.title === 'Limited Offer'));
+  });
+
+  it('should override the page title with data-search-title', async () => {
+    const [entry] = (await buildIndex({})).entries;
+
+    assert.strictEqual(entry.title, 'Button Component');
+  });
+
+  it('should route data-search-weight text into keywords', async () => {
+    const [entry] = (await buildIndex({})).entries;
+
+    assert.deepStrictEqual(entry.keywords, ['Accessible call-to-action buttons']);
+    assert(entry.content.includes('Accessible call-to-action buttons'), 'Routed text stays in content');
+  });
+
+  it('should merge routed keywords with head keywords', async () => {
+    const [entry] = (await buildIndex({ headMetadata: ['keywords'] })).entries;
+
+    assert.deepStrictEqual(entry.keywords, ['components', 'library', 'Accessible call-to-action buttons']);
+  });
+
+  it('should keep custom routed fields that fuseOptions.keys searches', async () => {
+    const without = (await buildIndex({})).entries[0];
+    assert.strictEqual(without.props, undefined, 'Unsearched routed fields are dropped');
+
+    const index = await buildIndex({
+      routedFields: ['props'],
+      fuseOptions: {
+        keys: [
+          { name: 'title', weight: 10 },
+          { name: 'props', weight: 6 },
+          { name: 'content', weight: 5 }
+        ]
+      }
+    });
+    const [entry] = index.entries;
+
+    assert.deepStrictEqual(entry.props, ['variant size disabled', 'onClick']);
+    assert.strictEqual(entry.title, 'Button Component', 'Routing must not replace core fields');
+  });
+});
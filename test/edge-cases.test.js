@@ -2,7 +2,7 @@
  * Edge Case Tests for Branch Coverage
  * Tests specific edge cases using fixture files
  */
-import { describe, it } from 'node:test';
+import { describe, it, before, after, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -13,6 +13,9 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const fixtures = join(__dirname, 'fixtures', 'basic');
 
 describe('Edge Cases for Branch Coverage', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
   it('should handle empty heading titles', (_t, done) => {
     const ms = Metalsmith(fixtures)
       .source('src')
@@ -0,0 +1,142 @@
+/**
+ * Index exporter tests
+ * Verifies the Lunr, MiniSearch and FlexSearch companion indexes and custom exporters
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import lunr from 'lunr';
+import MiniSearch from 'minisearch';
+import FlexSearch from 'flexsearch';
+import search from '../src/index.js';
+import { getFieldText, getSearchFields } from '../src/processors/exporters.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Parse a JSON file from the Metalsmith files object
+ * @param {Object} files - Metalsmith files
+ * @param {string} path - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(files, path) {
+  return JSON.parse(files[path].contents.toString());
+}
+
+describe('Index exporters', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should default to the Fuse format only', async () => {
+    const files = await Metalsmith(fixtures).use(search({})).process();
+    const index = readJson(files, 'search-index.json');
+
+    assert.deepEqual(index.config.formats, ['fuse']);
+    assert.ok(index.config.fuseOptions);
+    assert.equal(index.config.indexes, undefined);
+    assert.equal(files['search-index.lunr.json'], undefined);
+  });
+
+  it('should write a loadable Lunr index', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ format: 'lunr' }))
+      .process();
+    const index = readJson(files, 'search-index.json');
+
+    assert.deepEqual(index.config.formats, ['lunr']);
+    assert.equal(index.config.fuseOptions, undefined);
+    assert.deepEqual(index.config.indexes, { lunr: 'search-index.lunr.json' });
+
+    const idx = lunr.Index.load(readJson(files, 'search-index.lunr.json'));
+    const [best] = idx.search('caching');
+    assert.equal(best.ref, 'page:/sidebar-layout');
+  });
+
+  it('should write several formats at once', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ format: ['fuse', 'minisearch', 'flexsearch'], fuseIndex: true }))
+      .process();
+    const index = readJson(files, 'search-index.json');
+
+    assert.deepEqual(index.config.formats, ['fuse', 'minisearch', 'flexsearch']);
+    assert.equal(index.config.fuseIndex, 'search-index.fuse.json');
+    assert.deepEqual(index.config.indexes, {
+      fuse: 'search-index.fuse.json',
+      minisearch: 'search-index.minisearch.json',
+      flexsearch: 'search-index.flexsearch.json'
+    });
+
+    const miniSearch = MiniSearch.loadJSON(
+      files['search-index.minisearch.json'].contents.toString(),
+      index.config.miniSearchOptions
+    );
+    assert.equal(miniSearch.search('caching')[0].id, 'page:/sidebar-layout');
+
+    const flex = new FlexSearch.Document(index.config.flexSearchOptions);
+    for (const [key, data] of Object.entries(readJson(files, 'search-index.flexsearch.json'))) {
+      flex.import(key, data);
+    }
+    const ids = flex.search('caching').flatMap((result) => result.result);
+    assert.ok(ids.includes('page:/sidebar-layout'));
+  });
+
+  it('should build id-based indexes from the full entries when sharded', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ shardBy: 'path', format: ['fuse', 'lunr', 'minisearch'], fuseIndex: true }))
+      .process();
+    const manifest = readJson(files, 'search-index.json');
+
+    const idx = lunr.Index.load(readJson(files, 'search-index.lunr.json'));
+    assert.equal(idx.search('fingerprinted')[0].ref, 'page:/sidebar-layout');
+    const miniSearch = MiniSearch.loadJSON(
+      files['search-index.minisearch.json'].contents.toString(),
+      manifest.config.miniSearchOptions
+    );
+    assert.equal(miniSearch.search('fingerprinted')[0].id, 'page:/sidebar-layout');
+
+    // The pre-built Fuse index still matches the manifest's entry list
+    assert.equal(readJson(files, 'search-index.fuse.json').records.length, manifest.entries.length);
+  });
+
+  it('should run custom exporters', async () => {
+    const sitemap = {
+      name: 'urls',
+      build: (entries) => entries.map((entry) => entry.url)
+    };
+    const files = await Metalsmith(fixtures)
+      .use(search({ format: ['fuse', sitemap] }))
+      .process();
+    const index = readJson(files, 'search-index.json');
+
+    assert.equal(index.config.indexes.urls, 'search-index.urls.json');
+    assert.deepEqual(
+      readJson(files, 'search-index.urls.json'),
+      index.entries.map((entry) => entry.url)
+    );
+  });
+
+  it('should fail the build on unknown formats', async () => {
+    await assert.rejects(
+      Metalsmith(fixtures)
+        .use(search({ format: 'elasticsearch' }))
+        .process(),
+      /unknown format 'elasticsearch'/
+    );
+  });
+
+  it('should derive fields and weights from fuseOptions.keys', () => {
+    assert.deepEqual(getSearchFields({ keys: [{ name: 'title', weight: 2 }, 'content', ['headings', 'title']] }), [
+      { name: 'title', weight: 2 },
+      { name: 'content', weight: 1 },
+      { name: 'headings.title', weight: 1 }
+    ]);
+
+    const entry = { keywords: ['a', 'b'], headings: [{ title: 'One' }, { title: 'Two' }] };
+    assert.equal(getFieldText(entry, 'keywords'), 'a b');
+    assert.equal(getFieldText(entry, 'headings.title'), 'One Two');
+    assert.equal(getFieldText(entry, 'missing.path'), '');
+  });
+});
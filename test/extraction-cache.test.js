@@ -0,0 +1,191 @@
+/**
+ * Extraction cache tests
+ * Verifies that unchanged pages reuse cached entries across builds
+ */
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'named-indexes');
+
+/**
+ * Run the plugin over in-memory files, like a watch-mode rebuild
+ * @param {Object} pages - Filename -> HTML, or filename -> file object
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} {files, titles} with the entry titles of the index
+ */
+async function build(pages, options) {
+  const files = Object.fromEntries(
+    Object.entries(pages).map(([filename, page]) => [
+      filename,
+      typeof page === 'string' ? { contents: Buffer.from(page) } : { ...page }
+    ])
+  );
+  await Metalsmith(fixtures).run(files, [search(options)]);
+
+  const index = JSON.parse(files['search-index.json'].contents.toString());
+  return { files, index, titles: index.entries.map((entry) => entry.title) };
+}
+
+/**
+ * Rename the cached entries of a page, so a reuse is visible in the next index
+ * @param {string} cacheFile - Cache file path
+ * @param {string} filename - Cached page
+ * @returns {void}
+ */
+function markCached(cacheFile, filename) {
+  const stored = JSON.parse(readFileSync(cacheFile, 'utf8'));
+  for (const entry of stored.indexes.default.files[filename].entries) {
+    entry.title = `cached ${entry.title}`;
+  }
+  writeFileSync(cacheFile, JSON.stringify(stored));
+}
+
+const page = (title) =>
+  `<html><head><title>${title}</title></head><body><h1>${title}</h1><p>About ${title}.</p></body></html>`;
+
+describe('Extraction cache', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  let cacheDir;
+  let cacheFile;
+
+  beforeEach(() => {
+    cacheDir = mkdtempSync(join(tmpdir(), 'metalsmith-search-cache-'));
+    cacheFile = join(cacheDir, 'cache.json');
+  });
+
+  afterEach(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should reuse unchanged pages and re-extract changed ones', async () => {
+    const pages = { 'a.html': page('Alpha'), 'b.html': page('Beta') };
+    await build(pages, { cache: cacheFile });
+    markCached(cacheFile, 'a.html');
+    markCached(cacheFile, 'b.html');
+
+    const { titles } = await build({ ...pages, 'b.html': page('Gamma') }, { cache: cacheFile });
+    assert.deepEqual(titles, ['cached Alpha', 'Gamma']);
+  });
+
+  it('should keep the cache for output-only options and drop it for extraction options', async () => {
+    const pages = { 'a.html': page('Alpha') };
+    await build(pages, { cache: cacheFile });
+    markCached(cacheFile, 'a.html');
+
+    const minified = await build(pages, { cache: cacheFile, minify: true, shardBy: 'path' });
+    assert.deepEqual(
+      minified.index.entries.map((entry) => entry.title),
+      ['cached Alpha']
+    );
+
+    const excluded = await build(pages, { cache: cacheFile, excludeSelectors: ['p'] });
+    assert.deepEqual(excluded.titles, ['Alpha']);
+    assert.ok(!excluded.index.entries[0].content.includes('About'));
+  });
+
+  it('should re-extract when copied frontmatter changes', async () => {
+    const options = { cache: cacheFile, metadataFields: ['tags'] };
+    await build({ 'a.html': { contents: Buffer.from(page('Alpha')), tags: ['old'] } }, options);
+
+    const { index } = await build({ 'a.html': { contents: Buffer.from(page('Alpha')), tags: ['new'] } }, options);
+    assert.deepEqual(index.entries[0].tags, ['new']);
+  });
+
+  it('should re-extract when the urlFormatter result changes', async () => {
+    const options = { cache: cacheFile, urlFormatter: (_filename, file) => file.permalink };
+    await build({ 'a.html': { contents: Buffer.from(page('Alpha')), permalink: '/old/' } }, options);
+
+    const { index } = await build({ 'a.html': { contents: Buffer.from(page('Alpha')), permalink: '/new/' } }, options);
+    assert.equal(index.entries[0].url, '/new/');
+  });
+
+  it('should drop deleted pages from the cache', async () => {
+    await build({ 'a.html': page('Alpha'), 'b.html': page('Beta') }, { cache: cacheFile });
+    const { titles } = await build({ 'a.html': page('Alpha') }, { cache: cacheFile });
+
+    assert.deepEqual(titles, ['Alpha']);
+    const stored = JSON.parse(readFileSync(cacheFile, 'utf8'));
+    assert.deepEqual(Object.keys(stored.indexes.default.files), ['a.html']);
+  });
+
+  it('should replay injected anchors for cached pages', async () => {
+    const pages = { 'a.html': '<main><h2>Usage</h2><p>Run it.</p></main>' };
+    const first = await build(pages, { cache: cacheFile, injectAnchors: true });
+    markCached(cacheFile, 'a.html');
+    const second = await build(pages, { cache: cacheFile, injectAnchors: true });
+
+    assert.deepEqual(second.titles, ['cached Untitled']);
+    assert.equal(second.files['a.html'].contents.toString(), first.files['a.html'].contents.toString());
+    assert.ok(second.files['a.html'].contents.toString().includes('id="usage"'));
+  });
+
+  it('should replay extraction issues for cached pages and retry failed ones', async () => {
+    const pages = { 'a.html': '<main><p>No title here.</p></main>' };
+    await build(pages, { cache: cacheFile });
+    markCached(cacheFile, 'a.html');
+
+    await assert.rejects(build(pages, { cache: cacheFile, strict: true }), (error) => {
+      assert.deepEqual(error.report.untitled, [{ file: 'a.html', index: 'default', url: '/a' }]);
+      return true;
+    });
+
+    const urlFormatter = () => {
+      throw new Error('no route');
+    };
+    await build(pages, { cache: cacheFile, urlFormatter });
+    const stored = JSON.parse(readFileSync(cacheFile, 'utf8'));
+    assert.deepEqual(stored.indexes.default.files, {});
+  });
+
+  it('should cache each named index separately', async () => {
+    const files = { 'a.html': { contents: Buffer.from(page('Alpha')) } };
+    await Metalsmith(fixtures).run(files, [
+      search({ cache: cacheFile, indexes: { all: {}, short: { excludeSelectors: ['p'] } } })
+    ]);
+
+    const stored = JSON.parse(readFileSync(cacheFile, 'utf8'));
+    assert.deepEqual(Object.keys(stored.indexes).sort(), ['all', 'short']);
+    assert.notEqual(stored.indexes.all.fingerprint, stored.indexes.short.fingerprint);
+  });
+
+  it('should re-extract only the invalidated index on worker threads', async () => {
+    const run = async (docs) => {
+      const files = {
+        'a.html': { contents: Buffer.from(page('Alpha')) },
+        'b.html': { contents: Buffer.from(page('Beta')) }
+      };
+      await Metalsmith(fixtures).run(files, [search({ cache: cacheFile, workers: 2, indexes: { all: {}, docs } })]);
+      return Object.fromEntries(
+        ['all', 'docs'].map((name) => [
+          name,
+          JSON.parse(files[`search-index.${name}.json`].contents.toString()).entries.map((entry) => entry.content)
+        ])
+      );
+    };
+    await run({});
+    const stored = JSON.parse(readFileSync(cacheFile, 'utf8'));
+    stored.indexes.all.files['a.html'].entries[0].content = 'cached';
+    writeFileSync(cacheFile, JSON.stringify(stored));
+
+    const contents = await run({ excludeSelectors: ['p'] });
+    assert.equal(contents.all[0], 'cached');
+    assert.ok(contents.docs.every((content) => !content.includes('About')));
+  });
+
+  it('should start over from an unreadable cache file', async () => {
+    writeFileSync(cacheFile, '{ not json');
+    const { titles } = await build({ 'a.html': page('Alpha') }, { cache: cacheFile });
+
+    assert.deepEqual(titles, ['Alpha']);
+    assert.equal(JSON.parse(readFileSync(cacheFile, 'utf8')).version, 2);
+  });
+});
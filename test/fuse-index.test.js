@@ -0,0 +1,54 @@
+/**
+ * Pre-built Fuse index tests
+ * Verifies the serialized Fuse.js index emitted alongside the entries
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import Fuse from 'fuse.js';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+describe('Pre-built Fuse Index', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should not write a Fuse index by default', async () => {
+    const files = await Metalsmith(fixtures).use(search({})).process();
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    assert.strictEqual(files['search-index.fuse.json'], undefined);
+    assert.strictEqual(index.config.fuseIndex, undefined);
+  });
+
+  it('should write a parseable Fuse index referenced from config', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ fuseIndex: true }))
+      .process();
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    assert.strictEqual(index.config.fuseIndex, 'search-index.fuse.json');
+    assert(files['search-index.fuse.json'], 'Should write the Fuse index file');
+
+    const serialized = JSON.parse(files['search-index.fuse.json'].contents.toString());
+    assert.strictEqual(serialized.records.length, index.entries.length);
+
+    const fuse = new Fuse(index.entries, index.config.fuseOptions, Fuse.parseIndex(serialized));
+    const [best] = fuse.search('Caching Strategies');
+    assert.strictEqual(best.item.url, '/sidebar-layout');
+  });
+
+  it('should honor a custom Fuse index path', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ indexPath: 'search/docs.json', fuseIndex: 'search/docs-fuse.json' }))
+      .process();
+    const index = JSON.parse(files['search/docs.json'].contents.toString());
+
+    assert.strictEqual(index.config.fuseIndex, 'search/docs-fuse.json');
+    assert(files['search/docs-fuse.json']);
+  });
+});
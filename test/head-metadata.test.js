@@ -0,0 +1,68 @@
+/**
+ * Head metadata tests
+ * Verifies harvesting of meta tags, Open Graph and JSON-LD into entries
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Build the head-metadata fixture and return its entries
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Array>} Index entries
+ */
+async function buildEntries(options) {
+  const files = await Metalsmith(fixtures)
+    .use(search({ pattern: '**/head-metadata.html', ...options }))
+    .process();
+  return JSON.parse(files['search-index.json'].contents.toString()).entries;
+}
+
+describe('Head Metadata', () => {
+  it('should ignore head metadata by default', async () => {
+    const [entry] = await buildEntries({});
+
+    assert.strictEqual(entry.url, '/head-metadata');
+    assert(entry.excerpt.startsWith('Deploying Static Sites'));
+    assert.strictEqual(entry.image, undefined);
+  });
+
+  it('should harvest all fields with default source precedence', async () => {
+    const [entry] = await buildEntries({ headMetadata: true });
+
+    assert.strictEqual(entry.id, 'page:https://example.com/guides/deploying/');
+    assert.strictEqual(entry.url, 'https://example.com/guides/deploying/');
+    assert.strictEqual(entry.excerpt, 'How to deploy a Metalsmith site to a static host.');
+    assert.deepStrictEqual(entry.keywords, ['deploy', 'hosting', 'static']);
+    assert.strictEqual(entry.image, 'https://example.com/images/deploy.png');
+    assert.strictEqual(entry.published, '2025-04-01T09:00:00Z');
+    assert.strictEqual(entry.schemaType, 'TechArticle');
+  });
+
+  it('should let the source order decide which value wins', async () => {
+    const [entry] = await buildEntries({ headMetadata: true, headMetadataSources: ['jsonld', 'opengraph'] });
+
+    assert.strictEqual(entry.excerpt, 'JSON-LD description of the deployment guide.');
+    assert.strictEqual(entry.image, 'https://example.com/images/deploy-ld.png');
+    assert.strictEqual(entry.published, '2025-03-30');
+    assert.deepStrictEqual(entry.keywords, ['metalsmith', 'deployment']);
+    // No source in the list provides a canonical URL
+    assert.strictEqual(entry.url, '/head-metadata');
+  });
+
+  it('should only harvest the listed fields', async () => {
+    const entries = await buildEntries({ headMetadata: ['image'], sections: true, sectionLevels: ['h1'] });
+    const [page, section] = entries;
+
+    assert.strictEqual(page.url, '/head-metadata');
+    assert.strictEqual(page.schemaType, undefined);
+    assert.strictEqual(page.image, 'https://example.com/images/deploy.png');
+    assert.strictEqual(section.image, page.image, 'Sections should carry the page image');
+  });
+});
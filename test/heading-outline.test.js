@@ -0,0 +1,74 @@
+/**
+ * Heading outline tests
+ * Verifies heading snippets, word offsets, nesting and configurable levels
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'outline');
+
+/**
+ * Build the outline fixture and return the page entry
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Page entry
+ */
+async function buildPage(options) {
+  const files = await Metalsmith(fixtures).use(search(options)).process();
+  const index = JSON.parse(files['search-index.json'].contents.toString());
+  return index.entries.find((entry) => entry.type === 'page');
+}
+
+describe('Heading outline', () => {
+  it('should keep the flat heading list by default', async () => {
+    const page = await buildPage({});
+
+    assert.deepEqual(page.headings[1], { level: 'h2', id: 'preparing-a-build', title: 'Preparing a Build' });
+    assert.equal(page.headings.length, 6);
+  });
+
+  it('should limit headings to headingLevels', async () => {
+    const page = await buildPage({ headingLevels: ['h2', 'H3'] });
+
+    assert.deepEqual(
+      page.headings.map((heading) => heading.id),
+      ['preparing-a-build', 'environment-variables', 'asset-fingerprints', 'uploading']
+    );
+  });
+
+  it('should nest headings with parent and children ids', async () => {
+    const page = await buildPage({ headingOutline: true });
+    const byId = Object.fromEntries(page.headings.map((heading) => [heading.id, heading]));
+
+    assert.equal(byId['deployment-guide'].parent, null);
+    assert.deepEqual(byId['deployment-guide'].children, ['preparing-a-build', 'uploading']);
+    assert.deepEqual(byId['preparing-a-build'].children, ['environment-variables', 'asset-fingerprints']);
+    assert.equal(byId.secrets.parent, 'environment-variables');
+    assert.equal(byId['asset-fingerprints'].parent, 'preparing-a-build');
+    assert.deepEqual(byId.uploading.children, []);
+  });
+
+  it('should add snippets and word offsets', async () => {
+    const page = await buildPage({ headingOutline: true, headingSnippetWords: 8 });
+    const words = page.content.split(' ');
+    const byId = Object.fromEntries(page.headings.map((heading) => [heading.id, heading]));
+
+    assert.equal(byId['environment-variables'].snippet, 'Set the base path for subpath deployments.');
+    assert.equal(byId['preparing-a-build'].snippet, 'Run the production build and check the output...');
+    for (const heading of page.headings) {
+      assert.equal(words[heading.wordOffset], heading.title.split(' ')[0], heading.id);
+    }
+  });
+
+  it('should fold skipped levels into the parent snippet', async () => {
+    const page = await buildPage({ headingOutline: true, headingLevels: ['h1', 'h2', 'h3'], headingSnippetWords: 50 });
+    const variables = page.headings.find((heading) => heading.id === 'environment-variables');
+
+    assert.equal(variables.snippet, 'Set the base path for subpath deployments. Secrets Never commit tokens.');
+    assert.deepEqual(variables.children, []);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import Metalsmith from 'metalsmith';
 import path from 'node:path';
@@ -8,6 +8,10 @@ import search from '../src/index.js';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 describe('metalsmith-search', () => {
+  // no-title.html and whitespace-only.html trigger the extraction report warning in every build
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
   let metalsmith;
 
   beforeEach(() => {
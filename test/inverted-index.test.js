@@ -0,0 +1,125 @@
+/**
+ * Inverted index tests
+ * Verifies the term -> entry/field/position companion index
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { createInvertedIndex } from '../src/processors/search-indexer.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+const fuseOptions = { keys: [{ name: 'title', weight: 2 }, 'content', 'keywords'] };
+
+/**
+ * Find the entry ids containing a quoted phrase, the way a client would
+ * @param {Object} index - Inverted index
+ * @param {string} phrase - Phrase to look up
+ * @returns {string[]} Matching entry ids
+ */
+function findPhrase(index, phrase) {
+  const [first, ...rest] = phrase.toLowerCase().match(new RegExp(index.termPattern, 'gu'));
+  const terms = new Map(index.terms);
+  const matches = new Set();
+
+  for (const [doc, field, ...positions] of terms.get(first) || []) {
+    const found = positions.some((start) =>
+      rest.every((term, offset) =>
+        (terms.get(term) || []).some(
+          ([otherDoc, otherField, ...others]) =>
+            otherDoc === doc && otherField === field && others.includes(start + offset + 1)
+        )
+      )
+    );
+    if (found) {
+      matches.add(index.ids[doc]);
+    }
+  }
+
+  return [...matches];
+}
+
+describe('Inverted index', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should not write an inverted index by default', async () => {
+    const files = await Metalsmith(fixtures).use(search({})).process();
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    assert.equal(files['search-index.inverted.json'], undefined);
+    assert.equal(index.config.invertedIndex, undefined);
+  });
+
+  it('should write a companion file referenced from config', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ invertedIndex: true }))
+      .process();
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+    const inverted = JSON.parse(files['search-index.inverted.json'].contents.toString());
+
+    assert.equal(index.config.invertedIndex, 'search-index.inverted.json');
+    assert.equal(inverted.format, 'inverted');
+    assert.deepEqual(
+      inverted.ids,
+      index.entries.map((entry) => entry.id)
+    );
+    assert.deepEqual(inverted.fields, ['title', 'keywords', 'content', 'excerpt']);
+
+    const terms = inverted.terms.map(([term]) => term);
+    assert.deepEqual(terms, [...terms].sort(), 'terms are sorted for prefix lookups');
+    assert.ok(findPhrase(inverted, 'caching strategies').includes('page:/sidebar-layout'));
+  });
+
+  it('should accept a custom output path', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ invertedIndex: 'search/terms.json' }))
+      .process();
+
+    assert.ok(files['search/terms.json']);
+  });
+
+  it('should record field numbers and term positions', () => {
+    const index = createInvertedIndex(
+      [
+        { id: 'page:/a', title: 'Node.js and C++', content: 'Build tools for node.js, then C++ tools.' },
+        { id: 'page:/b', title: 'Other', content: 'Tools', keywords: ['build tools'] }
+      ],
+      { fuseOptions }
+    );
+
+    const terms = new Map(index.terms);
+    assert.deepEqual(index.fields, ['title', 'content', 'keywords']);
+    assert.deepEqual(terms.get('node.js'), [
+      [0, 0, 0],
+      [0, 1, 3]
+    ]);
+    assert.deepEqual(terms.get('c++'), [
+      [0, 0, 2],
+      [0, 1, 5]
+    ]);
+    assert.deepEqual(terms.get('tools'), [
+      [0, 1, 1, 6],
+      [1, 1, 0],
+      [1, 2, 1]
+    ]);
+    assert.deepEqual(findPhrase(index, 'build tools'), ['page:/a', 'page:/b']);
+    assert.deepEqual(findPhrase(index, 'tools for'), ['page:/a']);
+  });
+
+  it('should cover full entries when sharding', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ invertedIndex: true, shardBy: 'path' }))
+      .process();
+    const manifest = JSON.parse(files['search-index.json'].contents.toString());
+    const inverted = JSON.parse(files['search-index.inverted.json'].contents.toString());
+
+    assert.equal(manifest.config.invertedIndex, 'search-index.inverted.json');
+    assert.ok(inverted.fields.includes('content'));
+    assert.deepEqual([...inverted.ids].sort(), manifest.entries.map((entry) => entry.id).sort());
+  });
+});
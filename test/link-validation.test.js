@@ -0,0 +1,108 @@
+/**
+ * Deep link validation tests
+ * Verifies the report of entry URLs and heading ids that do not resolve in the build output
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { validateDeepLinks } from '../src/processors/link-validator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'links');
+
+/**
+ * Build the links fixture and return the parsed report
+ * @param {Object} options - Plugin options
+ * @param {string} [path] - Report path
+ * @returns {Promise<Object>} Link report
+ */
+async function buildReport(options, path = 'search-index.links.json') {
+  const files = await Metalsmith(fixtures)
+    .use(search({ validateLinks: true, sections: true, ...options }))
+    .process();
+  return JSON.parse(files[path].contents.toString());
+}
+
+describe('Deep link validation', () => {
+  it('should not write a report by default', async () => {
+    const files = await Metalsmith(fixtures).use(search({})).process();
+
+    assert.equal(files['search-index.links.json'], undefined);
+  });
+
+  it('should report generated ids missing from the HTML', async () => {
+    const report = await buildReport({});
+
+    assert.equal(report.format, 'links');
+    assert.equal(report.index, 'search-index.json');
+    assert.deepEqual(report.broken, [
+      {
+        entry: 'page:/docs/setup',
+        url: '/docs/setup#editor-support',
+        file: 'docs/setup.html',
+        reason: 'missing-anchor'
+      },
+      {
+        entry: 'page:/docs/setup',
+        url: '/docs/setup#legacy-anchors',
+        file: 'docs/setup.html',
+        reason: 'missing-anchor'
+      }
+    ]);
+    assert.ok(report.checked > report.broken.length);
+  });
+
+  it('should pass once anchors are injected', async () => {
+    const report = await buildReport({ injectAnchors: true });
+
+    assert.deepEqual(report.broken, []);
+  });
+
+  it('should map URLs with base paths and trailing slashes back to files', async () => {
+    const report = await buildReport(
+      {
+        injectAnchors: true,
+        baseUrl: 'https://example.com',
+        basePath: '/v2',
+        trailingSlash: 'always',
+        validateLinks: 'reports/links.json'
+      },
+      'reports/links.json'
+    );
+
+    assert.deepEqual(report.broken, []);
+  });
+
+  it('should report pages that are not in the output', async () => {
+    const report = await buildReport({ urlFormatter: (filename) => `/pages/${filename}` });
+
+    assert.ok(report.broken.some((link) => link.url === '/pages/index.html' && link.reason === 'missing-page'));
+  });
+
+  it('should fail the build when failOnBrokenLinks is set', async () => {
+    await assert.rejects(
+      Metalsmith(fixtures)
+        .use(search({ validateLinks: true, failOnBrokenLinks: true }))
+        .process(),
+      /2 broken deep link\(s\) in search-index\.json, e\.g\. \/docs\/setup#editor-support \(missing-anchor\)/
+    );
+  });
+
+  it('should skip links to other sites and check each link once', () => {
+    const files = { 'a.html': { contents: Buffer.from('<h2 id="x">X</h2>') } };
+    const entries = [
+      { id: 'page:/a', url: '/a', headings: [{ id: 'x' }, { id: 'y' }] },
+      { id: 'section:/a#y', url: '/a#y' },
+      { id: 'page:https://other.example/a', url: 'https://other.example/a' }
+    ];
+
+    assert.deepEqual(validateDeepLinks(entries, files, {}), {
+      checked: 3,
+      skipped: 1,
+      broken: [{ entry: 'page:/a', url: '/a#y', file: 'a.html', reason: 'missing-anchor' }]
+    });
+  });
+});
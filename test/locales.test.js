@@ -0,0 +1,123 @@
+/**
+ * Per-locale index tests
+ * Verifies language detection and one index per locale with a manifest
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'locales');
+
+/**
+ * Parse a JSON file from the Metalsmith files object
+ * @param {Object} files - Metalsmith files
+ * @param {string} path - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(files, path) {
+  return JSON.parse(files[path].contents.toString());
+}
+
+describe('Per-locale indexes', () => {
+  it('should write a single index by default', async () => {
+    const files = await Metalsmith(fixtures).use(search({})).process();
+    const index = readJson(files, 'search-index.json');
+
+    assert.equal(index.format, 'single');
+    assert.equal(index.totalEntries, 4);
+    assert.equal(files['search-index.de.json'], undefined);
+  });
+
+  it('should split entries by html lang, frontmatter and path prefix', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ localeIndexes: true, locales: ['ja'] }))
+      .process();
+    const manifest = readJson(files, 'search-index.json');
+
+    assert.equal(manifest.format, 'locales');
+    assert.equal(manifest.defaultLocale, 'en');
+    assert.deepEqual(manifest.locales, [
+      { locale: 'de', path: 'search-index.de.json', totalEntries: 1 },
+      { locale: 'en', path: 'search-index.en.json', totalEntries: 1 },
+      { locale: 'es', path: 'search-index.es.json', totalEntries: 1 },
+      { locale: 'ja', path: 'search-index.ja.json', totalEntries: 1 }
+    ]);
+
+    const german = readJson(files, 'search-index.de.json');
+    assert.equal(german.locale, 'de');
+    assert.equal(german.entries[0].url, '/de');
+    assert.equal(german.entries[0].language, 'de');
+    assert.equal(readJson(files, 'search-index.es.json').entries[0].url, '/servidor');
+    assert.equal(readJson(files, 'search-index.ja.json').entries[0].url, '/ja');
+  });
+
+  it('should respect the configured source order', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ localeIndexes: true, localeSources: ['html'], defaultLanguage: 'xx' }))
+      .process();
+    const manifest = readJson(files, 'search-index.json');
+
+    assert.deepEqual(
+      manifest.locales.map((entry) => [entry.locale, entry.totalEntries]),
+      [
+        ['de', 1],
+        ['en', 1],
+        ['xx', 2]
+      ]
+    );
+  });
+
+  it('should analyze each locale in its own language and apply locale overrides', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(
+        search({
+          localeIndexes: true,
+          locales: ['ja'],
+          analysis: true,
+          invertedIndex: 'terms.json',
+          localeOptions: { ja: { analysis: false } }
+        })
+      )
+      .process();
+
+    const english = readJson(files, 'search-index.en.json');
+    assert.ok(english.entries[0].normalized.split(' ').includes('run'));
+    assert.equal(english.config.invertedIndex, 'terms.en.json');
+    assert.ok(files['terms.en.json']);
+
+    const german = readJson(files, 'search-index.de.json');
+    assert.ok(german.entries[0].normalized.split(' ').includes('start'));
+    assert.ok(!german.entries[0].normalized.split(' ').includes('den'), 'German stop words removed');
+
+    const japanese = readJson(files, 'search-index.ja.json');
+    assert.equal(japanese.entries[0].normalized, undefined);
+  });
+
+  it('should only take path segments for languages the site uses', async () => {
+    const page = (lang, title) =>
+      `<html${lang ? ` lang="${lang}"` : ''}><head><title>${title}</title></head><body><p>${title} text.</p></body></html>`;
+    const files = {
+      'index.html': { contents: Buffer.from(page('en', 'Home')) },
+      'fr/index.html': { contents: Buffer.from(page('fr', 'Accueil')) },
+      'fr/guide.html': { contents: Buffer.from(page('', 'Guide')) },
+      'api/index.html': { contents: Buffer.from(page('', 'API')) },
+      'faq/index.html': { contents: Buffer.from(page('', 'FAQ')) }
+    };
+    await Metalsmith(fixtures).run(files, [search({ localeIndexes: true })]);
+    const manifest = readJson(files, 'search-index.json');
+
+    assert.deepEqual(
+      manifest.locales.map((entry) => [entry.locale, entry.totalEntries]),
+      [
+        ['en', 3],
+        ['fr', 2]
+      ]
+    );
+    assert.equal(files['search-index.api.json'], undefined);
+    assert.equal(files['search-index.faq.json'], undefined);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * File metadata tests
+ * Verifies that selected frontmatter / file-object properties reach the index
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { normalizeOptions } from '../src/utils/config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Metalsmith plugin that attaches frontmatter-like properties to sample.html
+ */
+function addFrontmatter(files, _metalsmith, next) {
+  Object.assign(files['sample.html'], {
+    tags: ['testing', 'fixtures'],
+    category: 'docs',
+    date: new Date('2025-03-01T00:00:00Z'),
+    author: { name: 'Jane Developer' },
+    title: 'Frontmatter Title'
+  });
+  next();
+}
+
+describe('File Metadata Fields', () => {
+  it('should copy listed fields into entries', (_t, done) => {
+    Metalsmith(fixtures)
+      .use(addFrontmatter)
+      .use(
+        search({ pattern: '**/sample.html', metadataFields: ['tags', 'category', 'date', 'author.name', 'missing'] })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const [entry] = JSON.parse(files['search-index.json'].contents.toString()).entries;
+          assert.deepStrictEqual(entry.tags, ['testing', 'fixtures']);
+          assert.strictEqual(entry.category, 'docs');
+          assert.strictEqual(entry.date, '2025-03-01T00:00:00.000Z');
+          assert.strictEqual(entry.name, 'Jane Developer');
+          assert(!('missing' in entry), 'Should omit fields that are not set');
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+  });
+
+  it('should support renaming and transforming via a mapping', (_t, done) => {
+    Metalsmith(fixtures)
+      .use(addFrontmatter)
+      .use(
+        search({
+          pattern: '**/sample.html',
+          sections: true,
+          metadataFields: {
+            topic: 'category',
+            author: 'author.name',
+            year: { from: 'date', transform: (date) => date.getUTCFullYear() },
+            tags: (tags) => tags.join(', ')
+          }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const { entries } = JSON.parse(files['search-index.json'].contents.toString());
+          assert(entries.length > 1, 'Should include section entries');
+
+          for (const entry of entries) {
+            assert.strictEqual(entry.topic, 'docs');
+            assert.strictEqual(entry.author, 'Jane Developer');
+            assert.strictEqual(entry.year, 2025);
+            // A bare function transforms the field of the same name
+            assert.strictEqual(entry.tags, 'testing, fixtures');
+          }
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+  });
+
+  it('should not let metadata overwrite extracted fields', (_t, done) => {
+    Metalsmith(fixtures)
+      .use(addFrontmatter)
+      .use(search({ pattern: '**/sample.html', metadataFields: ['title', 'category'] }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const [entry] = JSON.parse(files['search-index.json'].contents.toString()).entries;
+          assert.strictEqual(entry.title, 'Sample Document');
+          assert.strictEqual(entry.category, 'docs');
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+  });
+
+  it('should normalize list and mapping forms', () => {
+    const transform = (value) => value;
+    const fromList = normalizeOptions({ metadataFields: 'author.name' }).metadataFields;
+    const fromMap = normalizeOptions({ metadataFields: { tags: transform, when: 'date' } }).metadataFields;
+
+    assert.deepStrictEqual(fromList, [{ name: 'name', from: 'author.name', transform: null }]);
+    assert.deepStrictEqual(fromMap, [
+      { name: 'tags', from: 'tags', transform },
+      { name: 'when', from: 'date', transform: null }
+    ]);
+  });
+});
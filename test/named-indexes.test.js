@@ -0,0 +1,94 @@
+/**
+ * Named index tests
+ * Verifies several independently configured indexes from a single pass over the files
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'named-indexes');
+
+/**
+ * Parse a JSON file from the Metalsmith files object
+ * @param {Object} files - Metalsmith files
+ * @param {string} path - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(files, path) {
+  return JSON.parse(files[path].contents.toString());
+}
+
+describe('Named indexes', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should write one index per name with its own options', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(
+        search({
+          excludeSelectors: ['nav', '.api-signature'],
+          indexes: {
+            docs: { pattern: 'docs/**/*.html' },
+            blog: { pattern: 'blog/**/*.html', indexPath: 'blog/search.json' },
+            api: {
+              pattern: ['api/**/*.html', 'docs/**/*.html'],
+              excludeSelectors: ['nav'],
+              fuseOptions: { keys: [{ name: 'title', weight: 1 }] }
+            }
+          }
+        })
+      )
+      .process();
+
+    assert.equal(files['search-index.json'], undefined, 'no top-level index when indexes are named');
+
+    const docs = readJson(files, 'search-index.docs.json');
+    assert.deepEqual(docs.entries.map((entry) => entry.url).sort(), ['/docs/config', '/docs/intro']);
+    assert.ok(!docs.entries[0].content.includes('build(options)') && !docs.entries[0].content.includes('configure('));
+
+    const blog = readJson(files, 'blog/search.json');
+    assert.deepEqual(
+      blog.entries.map((entry) => entry.url),
+      ['/blog/release']
+    );
+
+    // Shared pages are extracted separately for each index
+    const api = readJson(files, 'search-index.api.json');
+    const intro = api.entries.find((entry) => entry.url === '/docs/intro');
+    assert.ok(intro.content.includes('build(options)'));
+    assert.deepEqual(api.config.fuseOptions.keys, [{ name: 'title', weight: 1 }]);
+  });
+
+  it('should write an empty index for a name that matches nothing', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ indexes: { docs: { pattern: 'docs/**/*.html' }, news: { pattern: 'news/**/*.html' } } }))
+      .process();
+
+    assert.equal(readJson(files, 'search-index.news.json').totalEntries, 0);
+    assert.equal(readJson(files, 'search-index.docs.json').totalEntries, 2);
+  });
+
+  it('should reject two indexes writing the same path', async () => {
+    await assert.rejects(
+      Metalsmith(fixtures)
+        .use(search({ indexes: { a: { indexPath: 'same.json' }, b: { indexPath: 'same.json' } } }))
+        .process(),
+      /indexes 'a' and 'b' both write same\.json/
+    );
+  });
+
+  it('should never index output written by another search() call', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ pattern: '**/*.json', indexPath: 'first.json' }))
+      .use(search({ pattern: '**/*.json', indexPath: 'second.json' }))
+      .process();
+
+    const second = readJson(files, 'second.json');
+    assert.equal(second.totalEntries, readJson(files, 'first.json').totalEntries);
+    assert.ok(!second.entries.some((entry) => entry.url.startsWith('/first')));
+  });
+});
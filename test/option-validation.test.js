@@ -0,0 +1,129 @@
+/**
+ * Option validation tests
+ * Verifies that malformed options fail the build before any file is processed
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { defaultOptions } from '../src/utils/config.js';
+import { validateOptions } from '../src/utils/option-schema.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Validate options merged over the defaults, as the plugin does
+ * @param {Object} options - Plugin options
+ * @returns {void}
+ */
+function validate(options) {
+  validateOptions({ ...defaultOptions, ...options });
+}
+
+describe('Option validation', () => {
+  it('should accept the defaults and every documented form', () => {
+    validateOptions(defaultOptions);
+    validate({
+      pattern: ['docs/**/*.html'],
+      excludeSelectors: 'nav',
+      contentSelector: ['main', '[role=main]', 'article:not(.teaser)'],
+      sectionLevels: ['H2'],
+      headMetadata: true,
+      precompress: 'gzip',
+      shardBy: (entry) => entry.type,
+      workers: 4,
+      cache: '.cache/search.json',
+      metadataFields: { year: { from: 'date', transform: (date) => date.getFullYear() } },
+      routedFields: 'props',
+      fuseOptions: { keys: ['title', 'year', 'headings.title', ['parent', 'url'], 'props'] }
+    });
+  });
+
+  it('should suggest the closest option name for typos', () => {
+    assert.throws(
+      () => validate({ excludeSelector: ['aside'] }),
+      /^Error: metalsmith-search: unknown option 'excludeSelector' \(did you mean 'excludeSelectors'\?\)$/
+    );
+    assert.throws(() => validate({ nonexistentOption: true }), /unknown option 'nonexistentOption'$/);
+  });
+
+  it('should check value types and allowed values', () => {
+    assert.throws(() => validate({ indexPath: 42 }), /indexPath must be a non-empty path, got number 42/);
+    assert.throws(() => validate({ workers: 1.5 }), /workers must be a boolean or a whole number ≥ 1, got number 1.5/);
+    assert.throws(
+      () => validate({ precompress: ['gzip', 'brotly'] }),
+      /precompress must be one of gzip, brotli \(got 'brotly'\) \(did you mean 'brotli'\?\)/
+    );
+    assert.throws(() => validate({ shardBy: 'month' }), /shardBy must be one of size, path, collection/);
+  });
+
+  it('should reject invalid CSS selectors', () => {
+    assert.throws(
+      () => validate({ excludeSelectors: ['nav', 'div[data-x'] }),
+      /excludeSelectors has an invalid CSS selector 'div\[data-x'/
+    );
+    assert.throws(() => validate({ contentSelector: 'main::before' }), /contentSelector has an invalid CSS selector/);
+  });
+
+  it('should reject search keys that no entry field matches', () => {
+    assert.throws(
+      () => validate({ fuseOptions: { keys: [{ name: 'titel', weight: 2 }, 'content'] } }),
+      /fuseOptions\.keys names 'titel', which is not an entry field \(did you mean 'title'\?\)/
+    );
+    assert.throws(
+      () => validate({ fuseOptions: { keys: ['headings.text'] } }),
+      /'headings\.text', which is not an entry field; headings has level, id, title/
+    );
+    assert.throws(
+      () => validate({ fuseOptions: { keys: ['description'] } }),
+      /names 'description', which is not an entry field/
+    );
+    assert.throws(
+      () => validate({ fuseOptions: { keys: ['body'] } }),
+      /names 'body', which is not an entry field \(list data-search-field names in routedFields\)/
+    );
+    assert.throws(() => validate({ fuseOptions: { keys: ['title.text'] } }), /'title' has no sub-fields/);
+    assert.throws(() => validate({ fuseOptions: { keys: 'title' } }), /fuseOptions\.keys must be an array/);
+  });
+
+  it('should validate named indexes and locale overrides in their own scope', () => {
+    assert.throws(
+      () => validate({ indexes: { docs: { indexPth: 'docs.json' } } }),
+      /unknown option 'indexes\.docs\.indexPth' \(did you mean 'indexPath'\?\)/
+    );
+    assert.throws(
+      () => validate({ indexes: { docs: { workers: true } } }),
+      /'workers' applies to the whole build; set it next to 'indexes'/
+    );
+    assert.throws(
+      () => validate({ localeOptions: { de: { fuseOptions: { keys: ['contnet'] } } } }),
+      /localeOptions\.de\.fuseOptions\.keys names 'contnet'/
+    );
+  });
+
+  it('should list every problem at once', () => {
+    assert.throws(
+      () => validate({ indexPath: '', minfy: true, headingLevels: ['h7'] }),
+      (error) => {
+        assert.match(error.message, /^metalsmith-search: 3 option problems:\n {2}- /);
+        assert.match(error.message, /unknown option 'minfy' \(did you mean 'minify'\?\)/);
+        assert.match(error.message, /headingLevels must be one of h1, h2, h3, h4, h5, h6 \(got 'h7'\)/);
+        return true;
+      }
+    );
+  });
+
+  it('should fail the build before any file is processed', async () => {
+    const files = { 'page.html': { contents: Buffer.from('<h2>Usage</h2><p>Text.</p>') } };
+    await assert.rejects(
+      Metalsmith(fixtures).run(files, [search({ injectAnchors: true, excludeSelector: 'nav' })]),
+      /did you mean 'excludeSelectors'/
+    );
+
+    assert.deepEqual(Object.keys(files), ['page.html']);
+    assert.equal(files['page.html'].contents.toString(), '<h2>Usage</h2><p>Text.</p>');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Page exclusion tests
+ * Verifies that drafts, opted-out pages and robots noindex pages stay out of the index
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Metalsmith plugin that marks fixtures with exclusion frontmatter
+ */
+function addFrontmatter(files, _metalsmith, next) {
+  files['sample.html'].draft = true;
+  files['page-with-chrome.html'].search = false;
+  files['index.html'].hidden = 'yes';
+  next();
+}
+
+/**
+ * Build the fixtures and return the indexed URLs
+ * @param {Object} options - Plugin options
+ * @returns {Promise<string[]>} Entry URLs
+ */
+async function buildUrls(options) {
+  const files = await Metalsmith(fixtures)
+    .use(addFrontmatter)
+    .use(search({ pattern: ['sample.html', 'page-with-chrome.html', 'index.html', 'noindex.html'], ...options }))
+    .process();
+  return JSON.parse(files['search-index.json'].contents.toString()).entries.map((e) => e.url);
+}
+
+describe('Page Exclusion', () => {
+  it('should skip drafts, search: false and robots noindex pages by default', async () => {
+    const urls = await buildUrls({});
+
+    assert.deepStrictEqual(urls, ['/']);
+  });
+
+  it('should support custom frontmatter rules', async () => {
+    const urls = await buildUrls({ excludeFrontmatter: { hidden: 'yes', draft: null } });
+
+    assert(urls.includes('/sample'), 'Disabled draft rule should index the draft');
+    assert(!urls.includes('/'), 'Custom rule should exclude the page');
+    assert(!urls.includes('/page-with-chrome'), 'Default search: false rule still applies');
+  });
+
+  it('should allow disabling all exclusion rules', async () => {
+    const urls = await buildUrls({ excludeFrontmatter: false, excludeRobotsDirectives: [] });
+
+    assert.strictEqual(urls.length, 4);
+    assert(urls.includes('/noindex'));
+  });
+
+  it('should write an empty index when every page is excluded', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(addFrontmatter)
+      .use(search({ pattern: 'sample.html' }))
+      .process();
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    assert.strictEqual(index.totalEntries, 0);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Reproducible output tests
+ * Verifies sorted, byte-identical indexes, SOURCE_DATE_EPOCH timestamps,
+ * content hashes and hashed index filenames
+ */
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Metalsmith plugin that rebuilds the files object in reverse key order,
+ * simulating a file system that lists files differently
+ * @param {Object} files - Metalsmith files
+ * @returns {void}
+ */
+function reverseFileOrder(files) {
+  const entries = Object.entries(files).reverse();
+  for (const [name] of entries) {
+    delete files[name];
+  }
+  for (const [name, file] of entries) {
+    files[name] = file;
+  }
+}
+
+/**
+ * Build the basic fixtures
+ * @param {Object} options - Plugin options
+ * @param {Function[]} [before] - Plugins to run before search
+ * @returns {Promise<Object>} Metalsmith files
+ */
+function build(options, before = []) {
+  const metalsmith = Metalsmith(fixtures);
+  for (const plugin of before) {
+    metalsmith.use(plugin);
+  }
+  return metalsmith.use(search(options)).process();
+}
+
+/**
+ * Parse a JSON file from the Metalsmith files object
+ * @param {Object} files - Metalsmith files
+ * @param {string} path - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(files, path) {
+  return JSON.parse(files[path].contents.toString());
+}
+
+describe('Reproducible output', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  const sourceDateEpoch = process.env.SOURCE_DATE_EPOCH;
+
+  afterEach(() => {
+    if (sourceDateEpoch === undefined) {
+      delete process.env.SOURCE_DATE_EPOCH;
+    } else {
+      process.env.SOURCE_DATE_EPOCH = sourceDateEpoch;
+    }
+  });
+
+  it('should stamp a build time and no content hash by default', async () => {
+    const index = readJson(await build({}), 'search-index.json');
+
+    assert.ok(index.generated);
+    assert.equal(index.contentHash, undefined);
+  });
+
+  it('should write identical bytes whatever the file order', async () => {
+    process.env.SOURCE_DATE_EPOCH = '1700000000';
+    const options = { reproducible: true, sections: true };
+    const first = await build(options);
+    const second = await build(options, [reverseFileOrder]);
+
+    assert.equal(first['search-index.json'].contents.toString(), second['search-index.json'].contents.toString());
+
+    const index = readJson(first, 'search-index.json');
+    assert.equal(index.generated, '2023-11-14T22:13:20.000Z');
+    assert.match(index.contentHash, /^[0-9a-f]{16}$/);
+  });
+
+  it('should sort entries by page and keep sections in document order', async () => {
+    const index = readJson(await build({ reproducible: true, sections: true }), 'search-index.json');
+    const pageIds = index.entries.map((entry) => entry.parent?.id || entry.id);
+
+    assert.deepEqual(pageIds, [...pageIds].sort());
+    for (const entry of index.entries) {
+      assert.deepEqual(Object.keys(entry), Object.keys(entry).sort(), entry.id);
+    }
+
+    const sections = index.entries.filter((entry) => entry.type === 'section');
+    const page = index.entries.find((entry) => entry.id === sections[0].parent.id);
+    const inPage = sections.filter((entry) => entry.parent.id === page.id).map((entry) => entry.url.split('#')[1]);
+    assert.ok(index.entries.indexOf(page) < index.entries.indexOf(sections[0]), 'page precedes its sections');
+    assert.deepEqual(
+      inPage,
+      page.headings.map((heading) => heading.id).filter((id) => inPage.includes(id))
+    );
+  });
+
+  it('should omit the timestamp without SOURCE_DATE_EPOCH', async () => {
+    delete process.env.SOURCE_DATE_EPOCH;
+    const files = await build({ reproducible: true, shardBy: 'path' });
+    const manifest = readJson(files, 'search-index.json');
+
+    assert.equal('generated' in manifest, false);
+    assert.match(manifest.contentHash, /^[0-9a-f]{16}$/);
+  });
+
+  it('should reject a malformed SOURCE_DATE_EPOCH', async () => {
+    process.env.SOURCE_DATE_EPOCH = 'yesterday';
+    await assert.rejects(build({ reproducible: true }), /SOURCE_DATE_EPOCH must be a number of seconds/);
+  });
+
+  it('should write the index under its content hash with a pointer at indexPath', async () => {
+    const files = await build({ hashedFilename: true, invertedIndex: true, shardBy: 'path' });
+    const pointer = readJson(files, 'search-index.json');
+
+    assert.equal(pointer.format, 'pointer');
+    assert.equal(pointer.path, `search-index.${pointer.contentHash}.json`);
+
+    const manifest = readJson(files, pointer.path);
+    assert.equal(manifest.contentHash, pointer.contentHash);
+    assert.equal(manifest.config.invertedIndex, `search-index.${pointer.contentHash}.inverted.json`);
+    assert.ok(files[manifest.config.invertedIndex]);
+    for (const shard of manifest.shards) {
+      assert.ok(shard.path.startsWith(`search-index.${pointer.contentHash}.`), shard.path);
+      assert.ok(files[shard.path]);
+    }
+  });
+
+  it('should write a pointer and companion files when no page matches', async () => {
+    const files = await build({ hashedFilename: true, pattern: 'missing/**/*.html', format: ['fuse', 'lunr'] });
+    const pointer = readJson(files, 'search-index.json');
+
+    assert.equal(pointer.format, 'pointer');
+    const index = readJson(files, pointer.path);
+    assert.equal(index.totalEntries, 0);
+    assert.equal(index.contentHash, pointer.contentHash);
+    assert.ok(files[index.config.indexes.lunr]);
+  });
+
+  it('should change the hash when content or search options change', async () => {
+    const hashOf = async (options, before) =>
+      readJson(await build({ reproducible: true, ...options }, before), 'search-index.json').contentHash;
+    const editPage = (files) => {
+      const [name] = Object.keys(files).filter((filename) => filename.endsWith('.html'));
+      files[name].contents = Buffer.from(`${files[name].contents}<p>One more paragraph.</p>`);
+    };
+
+    const base = await hashOf({});
+    assert.equal(await hashOf({}), base);
+    assert.notEqual(await hashOf({}, [editPage]), base);
+    assert.notEqual(await hashOf({ fuseOptions: { threshold: 0.1 } }), base);
+  });
+
+  it('should write and hash Date metadata as JSON does', async () => {
+    const dated = (date) => (files) => {
+      for (const file of Object.values(files)) {
+        file.date = new Date(date);
+      }
+    };
+    const files = await build({ reproducible: true, metadataFields: ['date'] }, [dated('2025-01-02')]);
+    const index = readJson(files, 'search-index.json');
+    assert.equal(index.entries[0].date, '2025-01-02T00:00:00.000Z');
+
+    const hashOf = async (date) =>
+      readJson(await build({ hashedFilename: true, metadataFields: ['date'] }, [dated(date)]), 'search-index.json')
+        .contentHash;
+    assert.notEqual(await hashOf('2025-01-02'), await hashOf('2025-01-03'));
+  });
+
+  it('should list hashed locale indexes in the locale manifest', async () => {
+    const files = await build({ hashedFilename: true, localeIndexes: true });
+    const manifest = readJson(files, 'search-index.json');
+
+    assert.equal(manifest.format, 'locales');
+    for (const { locale, path } of manifest.locales) {
+      assert.match(path, new RegExp(`^search-index\\.${locale}\\.[0-9a-f]{16}\\.json$`));
+      assert.equal(readJson(files, `search-index.${locale}.json`).path, path);
+    }
+  });
+});
@@ -3,7 +3,7 @@
  * Integrated from universal-search-tester for validating search index quality
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -217,6 +217,9 @@ function testSearchQuality(searchIndex, options = {}) {
 }
 
 describe('Search Quality Tests', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
   it('should generate a high-quality search index from HTML content', (_t, done) => {
     const ms = Metalsmith(join(fixtures, 'basic'))
       .source('src')
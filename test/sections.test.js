@@ -0,0 +1,126 @@
+/**
+ * Section entry tests
+ * Verifies the opt-in splitting of pages into heading-bounded section entries
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+describe('Section Entries', () => {
+  it('should not emit section entries by default', (_t, done) => {
+    Metalsmith(fixtures)
+      .use(search({ pattern: '**/page-with-chrome.html' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const searchIndex = JSON.parse(files['search-index.json'].contents.toString());
+          assert.deepStrictEqual(
+            searchIndex.entries.map((e) => e.type),
+            ['page']
+          );
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+  });
+
+  it('should split pages at h2/h3 boundaries when sections is enabled', (_t, done) => {
+    Metalsmith(fixtures)
+      .use(search({ pattern: '**/page-with-chrome.html', sections: true }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const searchIndex = JSON.parse(files['search-index.json'].contents.toString());
+          const sections = searchIndex.entries.filter((e) => e.type === 'section');
+
+          assert.strictEqual(sections.length, 2);
+          assert.strictEqual(searchIndex.stats.entriesByType.page, 1);
+          assert.strictEqual(searchIndex.stats.entriesByType.section, 2);
+
+          const [one, two] = sections;
+          assert.strictEqual(one.id, 'section:/page-with-chrome#section-one');
+          assert.strictEqual(one.url, '/page-with-chrome#section-one');
+          assert.strictEqual(one.title, 'Section One');
+          assert.strictEqual(one.level, 'h2');
+          assert.strictEqual(one.content, 'Content in section one that users want to find.');
+          assert.strictEqual(one.excerpt, one.content);
+          assert.strictEqual(one.wordCount, 9);
+          assert.deepStrictEqual(one.parent, {
+            id: 'page:/page-with-chrome',
+            url: '/page-with-chrome',
+            title: 'Main Content Area'
+          });
+
+          // Text of the next section must not leak into the previous one
+          assert(!one.content.includes('section two'));
+          assert.strictEqual(two.content, 'Content in section two with important information.');
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+  });
+
+  it('should honor custom sectionLevels', (_t, done) => {
+    Metalsmith(fixtures)
+      .use(search({ pattern: '**/traditional-long-article.html', sections: true, sectionLevels: 'H3' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const searchIndex = JSON.parse(files['search-index.json'].contents.toString());
+          const sections = searchIndex.entries.filter((e) => e.type === 'section');
+
+          assert(sections.length > 0, 'Should create h3 sections');
+          assert(
+            sections.every((s) => s.level === 'h3'),
+            'Only h3 headings should open sections'
+          );
+          const frontend = sections.find((s) => s.url.endsWith('#frontend-evolution'));
+          assert(frontend, 'Should create a section for the frontend heading');
+          assert(frontend.content.includes('Key Frontend Technologies'));
+          assert(!frontend.content.includes('Server-side development'), 'Should stop at the next h3');
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+  });
+
+  it('should skip sections without text and use generated heading ids', (_t, done) => {
+    Metalsmith(fixtures)
+      .use(search({ pattern: '**/duplicate-headings.html', sections: true }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          const searchIndex = JSON.parse(files['search-index.json'].contents.toString());
+          const sections = searchIndex.entries.filter((e) => e.type === 'section');
+
+          // Only the last of the three duplicate headings is followed by text
+          assert.strictEqual(sections.length, 1);
+          assert.strictEqual(sections[0].url, '/duplicate-headings#introduction-2');
+          done();
+        } catch (error) {
+          done(error);
+        }
+      });
+  });
+});
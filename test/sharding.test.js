@@ -0,0 +1,147 @@
+/**
+ * Index sharding tests
+ * Verifies the manifest + lazily loaded shard output layout
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { createShardedIndex } from '../src/processors/index-sharder.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Parse a JSON file from the Metalsmith files object
+ * @param {Object} files - Metalsmith files
+ * @param {string} path - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(files, path) {
+  return JSON.parse(files[path].contents.toString());
+}
+
+const baseIndex = {
+  version: '2.0.0',
+  generator: 'metalsmith-search',
+  generated: '2025-01-01T00:00:00.000Z',
+  totalEntries: 4,
+  config: { fuseOptions: {} },
+  stats: {},
+  entries: [
+    { id: 'page:/', type: 'page', url: '/', title: 'Home', content: 'a'.repeat(40) },
+    { id: 'page:/docs/intro', type: 'page', url: '/docs/intro', title: 'Intro', content: 'b'.repeat(40) },
+    { id: 'page:/blog/post', type: 'page', url: '/blog/post', title: 'Post', content: 'c'.repeat(40) },
+    { id: 'section:/docs/intro#a', type: 'section', url: '/docs/intro#a', title: 'A', content: 'd'.repeat(40) }
+  ]
+};
+
+describe('Index Sharding', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should write a single index with format flag by default', async () => {
+    const files = await Metalsmith(fixtures).use(search({})).process();
+    const index = readJson(files, 'search-index.json');
+
+    assert.strictEqual(index.format, 'single');
+    assert.strictEqual(index.shards, undefined);
+  });
+
+  it('should write a manifest and shard files when sharding by size', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ shardBy: 'size', shardSize: 2000 }))
+      .process();
+    const manifest = readJson(files, 'search-index.json');
+
+    assert.strictEqual(manifest.format, 'sharded');
+    assert(manifest.shards.length > 1, 'Should split into several shards');
+    assert.strictEqual(manifest.entries.length, manifest.totalEntries);
+    assert.deepStrictEqual(Object.keys(manifest.entries[0]).sort(), ['id', 'shard', 'title', 'type', 'url']);
+
+    let total = 0;
+    for (const [position, shardInfo] of manifest.shards.entries()) {
+      const shard = readJson(files, shardInfo.path);
+      assert.strictEqual(shard.format, 'shard');
+      assert.strictEqual(shard.entries.length, shardInfo.totalEntries);
+      assert(
+        shard.entries.every((entry) => entry.content),
+        'Shards hold full entries'
+      );
+
+      const listed = manifest.entries.filter((entry) => entry.shard === position).map((entry) => entry.id);
+      assert.deepStrictEqual(
+        listed,
+        shard.entries.map((entry) => entry.id)
+      );
+      total += shard.entries.length;
+    }
+    assert.strictEqual(total, manifest.totalEntries);
+  });
+
+  it('should group entries by path prefix', () => {
+    const { manifest, shards } = createShardedIndex(baseIndex, {
+      indexPath: 'search-index.json',
+      shardBy: 'path',
+      shardPathDepth: 1
+    });
+
+    assert.deepStrictEqual(
+      manifest.shards.map((s) => [s.name, s.path, s.totalEntries]),
+      [
+        ['root', 'search-index.root.json', 1],
+        ['docs', 'search-index.docs.json', 2],
+        ['blog', 'search-index.blog.json', 1]
+      ]
+    );
+    assert.deepStrictEqual(
+      shards[1].index.entries.map((e) => e.id),
+      ['page:/docs/intro', 'section:/docs/intro#a']
+    );
+  });
+
+  it('should group by collection or a custom function', () => {
+    const withCollections = {
+      ...baseIndex,
+      entries: baseIndex.entries.map((entry, i) => ({ ...entry, collection: i % 2 ? ['posts'] : undefined }))
+    };
+    const byCollection = createShardedIndex(withCollections, { indexPath: 'idx.json', shardBy: 'collection' });
+    assert.deepStrictEqual(
+      byCollection.manifest.shards.map((s) => s.name),
+      ['uncategorized', 'posts']
+    );
+
+    const byType = createShardedIndex(baseIndex, { indexPath: 'idx.json', shardBy: (entry) => entry.type });
+    assert.deepStrictEqual(
+      byType.manifest.shards.map((s) => s.path),
+      ['idx.page.json', 'idx.section.json']
+    );
+  });
+
+  it('should not name shards after companion files', async () => {
+    const page = (title) =>
+      Buffer.from(`<html><head><title>${title}</title></head><body><p>${title} text.</p></body></html>`);
+    const files = {
+      'links/index.html': { contents: page('Links') },
+      'inverted/index.html': { contents: page('Inverted') },
+      'lunr/index.html': { contents: page('Lunr') }
+    };
+    await Metalsmith(fixtures).run(files, [
+      search({ shardBy: 'path', validateLinks: true, invertedIndex: true, format: ['fuse', 'lunr'] })
+    ]);
+    const manifest = readJson(files, 'search-index.json');
+
+    assert.deepStrictEqual(
+      manifest.shards.map((shard) => shard.path),
+      ['search-index.inverted-1.json', 'search-index.links-1.json', 'search-index.lunr-1.json']
+    );
+    assert.strictEqual(readJson(files, 'search-index.links.json').format, 'links');
+    assert.strictEqual(readJson(files, 'search-index.links-1.json').entries[0].title, 'Links');
+  });
+
+  it('should reject unknown strategies', () => {
+    assert.throws(() => createShardedIndex(baseIndex, { indexPath: 'idx.json', shardBy: 'bogus' }), /unknown shardBy/);
+  });
+});
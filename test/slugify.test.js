@@ -0,0 +1,83 @@
+/**
+ * Slugify option tests
+ * Verifies the built-in slug presets, custom slug functions and uniqueness suffixes
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { resolveSlugify } from '../src/utils/anchor-generator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'slugify');
+
+/**
+ * Build the slugify fixture and return the heading ids of its page
+ * @param {Object} options - Plugin options
+ * @returns {Promise<string[]>} Heading ids in document order
+ */
+async function headingIds(options) {
+  const files = await Metalsmith(fixtures).use(search(options)).process();
+  const index = JSON.parse(files['search-index.json'].contents.toString());
+  return index.entries[0].headings.map((heading) => heading.id);
+}
+
+describe('Slugify', () => {
+  it('should keep the existing ids by default', async () => {
+    assert.deepEqual(await headingIds({}), [
+      'getting-started',
+      'section',
+      'section-1',
+      'getting-started-1',
+      'c-nodejs'
+    ]);
+  });
+
+  it('should match github-slugger', async () => {
+    assert.deepEqual(await headingIds({ slugify: 'github' }), [
+      'getting-started',
+      '日本語の見出し',
+      'привет-мир',
+      'getting-started-1',
+      'c--nodejs'
+    ]);
+  });
+
+  it('should match markdown-it-anchor', async () => {
+    const ids = await headingIds({ slugify: 'markdown-it-anchor' });
+
+    assert.equal(decodeURIComponent(ids[1]), '日本語の見出し');
+    assert.deepEqual(ids.slice(3), ['getting-started-1', 'c%2B%2B-%26-node.js']);
+  });
+
+  it('should preserve non-ASCII letters with the unicode preset', async () => {
+    assert.deepEqual(await headingIds({ slugify: 'unicode' }), [
+      'getting-started',
+      '日本語の見出し',
+      'привет-мир',
+      'getting-started-1',
+      'c-nodejs'
+    ]);
+
+    const slug = resolveSlugify('unicode');
+    assert.equal([...slug('見'.repeat(60))].length, 50);
+    assert.equal(slug('!!!'), 'section');
+  });
+
+  it('should accept a custom function and suffix its duplicates', async () => {
+    const ids = await headingIds({ slugify: (text) => `h-${text.length}` });
+
+    assert.deepEqual(ids, ['h-15', 'h-7', 'h-12', 'h-15-1', 'h-13']);
+  });
+
+  it('should reject unknown presets', async () => {
+    await assert.rejects(
+      Metalsmith(fixtures)
+        .use(search({ slugify: 'kebab' }))
+        .process(),
+      /unknown slugify preset 'kebab'/
+    );
+  });
+});
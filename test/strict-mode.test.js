@@ -0,0 +1,99 @@
+/**
+ * Strict mode tests
+ * Verifies the extraction report: failed, empty and untitled pages fail strict
+ * builds and produce a one-line warning otherwise
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+const pages = {
+  'good.html': '<html><head><title>Good</title></head><body><p>Indexed text.</p></body></html>',
+  'untitled.html': '<html><body><p>Text without any title.</p></body></html>',
+  'blank.html': '   \n',
+  'chrome-only.html': '<html><body><nav>Only navigation</nav></body></html>'
+};
+
+/**
+ * Run the plugin over in-memory pages
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} Metalsmith files
+ */
+async function build(options) {
+  const files = Object.fromEntries(
+    Object.entries(pages).map(([filename, html]) => [filename, { contents: Buffer.from(html) }])
+  );
+  await Metalsmith(fixtures).run(files, [search(options)]);
+  return files;
+}
+
+describe('Strict mode', () => {
+  it('should warn once about skipped pages and still write the index', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const files = await build({});
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    assert.deepEqual(index.entries.map((entry) => entry.title).sort(), ['Good', 'Untitled']);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(
+      warn.mock.calls[0].arguments[0],
+      /^metalsmith-search: 2 of 4 pages skipped \(2 empty\), 1 page\(s\) without a title /
+    );
+  });
+
+  it('should not warn when every page is indexed with a title', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    await build({ pattern: 'good.html' });
+
+    assert.equal(warn.mock.callCount(), 0);
+  });
+
+  it('should fail the build with a structured report', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const error = await build({ strict: true }).then(
+      () => assert.fail('expected the build to fail'),
+      (failure) => failure
+    );
+
+    assert.match(error.message, /^metalsmith-search: strict mode: 2 of 4 pages skipped/);
+    assert.equal(error.report.pages, 4);
+    assert.deepEqual(error.report.failed, []);
+    assert.deepEqual(error.report.empty, [
+      { file: 'blank.html', index: 'default', reason: 'empty file' },
+      { file: 'chrome-only.html', index: 'default', reason: 'no text content after processing' }
+    ]);
+    assert.deepEqual(error.report.untitled, [{ file: 'untitled.html', index: 'default', url: '/untitled' }]);
+    assert.equal(warn.mock.callCount(), 0);
+  });
+
+  it('should report pages that fail to extract', async () => {
+    const urlFormatter = () => {
+      throw new Error('no route for this page');
+    };
+    await assert.rejects(build({ strict: true, pattern: 'good.html', urlFormatter }), (error) => {
+      assert.match(error.message, /e\.g\. good\.html \(failed: no route for this page\)/);
+      assert.deepEqual(error.report.failed, [
+        { file: 'good.html', index: 'default', message: 'no route for this page' }
+      ]);
+      return true;
+    });
+  });
+
+  it('should collect the same report from worker threads and named indexes', async () => {
+    const options = { strict: true, indexes: { all: {}, docs: { pattern: ['good.html', 'blank.html'] } } };
+    const main = await build(options).catch((error) => error.report);
+    const threaded = await build({ ...options, workers: 2 }).catch((error) => error.report);
+
+    assert.deepEqual(threaded, main);
+    assert.deepEqual(
+      main.empty.filter((issue) => issue.file === 'blank.html').map((issue) => issue.index),
+      ['all', 'docs']
+    );
+  });
+});
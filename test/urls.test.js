@@ -0,0 +1,109 @@
+/**
+ * URL generation tests
+ * Verifies base paths, trailing slashes, extensions and custom formatters
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { buildPageUrl } from '../src/utils/url-builder.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'named-indexes');
+
+const defaults = { baseUrl: '', basePath: '', trailingSlash: 'never', keepExtension: false, urlFormatter: null };
+
+/**
+ * Build URLs for a set of filenames
+ * @param {Object} options - URL options
+ * @returns {string[]} URLs for index.html, docs/index.html and docs/intro.html
+ */
+function urlsFor(options) {
+  return ['index.html', 'docs/index.html', 'docs/intro.html'].map((filename) =>
+    buildPageUrl(filename, {}, { ...defaults, ...options })
+  );
+}
+
+describe('URL generation', () => {
+  it('should keep the existing URLs by default', () => {
+    assert.deepEqual(urlsFor({}), ['/', '/docs', '/docs/intro']);
+  });
+
+  it('should add trailing slashes', () => {
+    assert.deepEqual(urlsFor({ trailingSlash: 'always' }), ['/', '/docs/', '/docs/intro/']);
+    assert.deepEqual(urlsFor({ trailingSlash: 'preserve' }), ['/', '/docs/', '/docs/intro']);
+  });
+
+  it('should keep extensions', () => {
+    assert.deepEqual(urlsFor({ keepExtension: true, trailingSlash: 'always' }), [
+      '/index.html',
+      '/docs/index.html',
+      '/docs/intro.html'
+    ]);
+  });
+
+  it('should prefix base paths and base URLs', () => {
+    assert.deepEqual(urlsFor({ basePath: 'docs/v2/' }), ['/docs/v2/', '/docs/v2/docs', '/docs/v2/docs/intro']);
+    assert.deepEqual(urlsFor({ baseUrl: 'https://example.com/', basePath: '/v2' }), [
+      'https://example.com/v2/',
+      'https://example.com/v2/docs',
+      'https://example.com/v2/docs/intro'
+    ]);
+  });
+
+  it('should use urlFormatter output with the base applied', () => {
+    const urlFormatter = (filename, file) => `/${file.slug || filename.replace(/\.html$/, '')}/`;
+    assert.equal(
+      buildPageUrl('docs/intro.html', { slug: 'start' }, { ...defaults, urlFormatter, basePath: '/v2' }),
+      '/v2/start/'
+    );
+    assert.equal(
+      buildPageUrl(
+        'docs/intro.html',
+        {},
+        { ...defaults, urlFormatter: () => 'https://cdn.example.com/x', basePath: '/v2' }
+      ),
+      'https://cdn.example.com/x'
+    );
+  });
+
+  it('should apply URL options to page entries and heading deep links', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(
+        search({
+          pattern: 'docs/**/*.html',
+          basePath: '/docs/v2',
+          trailingSlash: 'always',
+          sections: true,
+          sectionLevels: ['h1']
+        })
+      )
+      .process();
+    const index = JSON.parse(files['search-index.json'].contents.toString());
+
+    const page = index.entries.find((entry) => entry.id === 'page:/docs/v2/docs/intro/');
+    assert.ok(page);
+    const section = index.entries.find((entry) => entry.type === 'section' && entry.parent.id === page.id);
+    assert.equal(section.url, '/docs/v2/docs/intro/#introduction');
+  });
+
+  it('should shard by the path after basePath', async () => {
+    const files = await Metalsmith(fixtures)
+      .use(search({ basePath: '/site', shardBy: 'path' }))
+      .process();
+    const manifest = JSON.parse(files['search-index.json'].contents.toString());
+
+    assert.deepEqual(manifest.shards.map((shard) => shard.name).sort(), ['api', 'blog', 'docs']);
+  });
+
+  it('should reject unknown trailingSlash values', async () => {
+    await assert.rejects(
+      Metalsmith(fixtures)
+        .use(search({ trailingSlash: 'sometimes' }))
+        .process(),
+      /trailingSlash must be one of always, never, preserve/
+    );
+  });
+});
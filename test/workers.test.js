@@ -0,0 +1,128 @@
+/**
+ * Worker thread extraction tests
+ * Verifies that parallel extraction matches main-thread extraction
+ */
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Metalsmith from 'metalsmith';
+import search from '../src/index.js';
+import { getPoolSize } from '../src/processors/extraction-pool.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixtures = join(__dirname, 'fixtures', 'basic');
+
+/**
+ * Build the basic fixtures and return the index and rendered pages
+ * @param {Object} options - Plugin options
+ * @returns {Promise<Object>} {index, files}
+ */
+async function build(options) {
+  const files = await Metalsmith(fixtures).use(search(options)).process();
+  const index = JSON.parse(files['search-index.json'].contents.toString());
+  return { index, files };
+}
+
+/**
+ * Drop the build timestamp so two indexes can be compared
+ * @param {Object} index - Search index
+ * @returns {Object} Index without `generated`
+ */
+function withoutTimestamp({ generated: _generated, ...index }) {
+  return index;
+}
+
+describe('Worker threads', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('should produce the same index as the main thread, in file order', async () => {
+    const options = {
+      sections: true,
+      headingOutline: true,
+      headMetadata: ['description', 'image'],
+      analysis: true,
+      metadataFields: { source: { from: 'contents', transform: (_value, file) => file.contents.length > 0 } },
+      urlFormatter: (filename) => `/pages/${filename.replace(/\.html$/, '')}/`
+    };
+    const main = await build(options);
+    const threaded = await build({ ...options, workers: 2 });
+
+    assert.ok(main.index.entries.length > 10);
+    assert.deepEqual(withoutTimestamp(threaded.index), withoutTimestamp(main.index));
+    assert.ok(threaded.index.entries.every((entry) => entry.source === true));
+    assert.ok(threaded.index.entries[0].url.startsWith('/pages/'));
+  });
+
+  it('should write injected anchors back from workers', async () => {
+    const main = await build({ injectAnchors: true });
+    const threaded = await build({ injectAnchors: true, workers: 3 });
+
+    assert.equal(
+      threaded.files['sidebar-layout.html'].contents.toString(),
+      main.files['sidebar-layout.html'].contents.toString()
+    );
+    assert.ok(threaded.files['sidebar-layout.html'].contents.toString().includes('id="caching-strategies"'));
+  });
+
+  it('should fail only the pages whose callbacks throw, in every batch', async () => {
+    const files = () =>
+      Object.fromEntries(
+        Array.from({ length: 60 }, (_value, page) => [
+          `p${page}.html`,
+          { contents: Buffer.from(`<title>Page ${page}</title><p>Text ${page}.</p>`), page }
+        ])
+      );
+    const options = {
+      strict: true,
+      urlFormatter: (filename, file) => {
+        if (file.page === 5 || file.page === 45) {
+          throw new Error(`no route for ${filename}`);
+        }
+        return `/${filename}`;
+      },
+      metadataFields: {
+        page: {
+          from: 'page',
+          transform: (page) => {
+            if (page === 30) {
+              throw new Error('bad page number');
+            }
+            return page;
+          }
+        }
+      }
+    };
+    const run = (settings) =>
+      Metalsmith(fixtures)
+        .run(files(), [search(settings)])
+        .catch((error) => error.report);
+
+    const main = await run(options);
+    const threaded = await run({ ...options, workers: 2 });
+
+    assert.deepEqual(threaded, main);
+    assert.equal(main.pages, 60);
+    assert.deepEqual(main.failed.map(({ file, message }) => `${file}: ${message}`).sort(), [
+      'p30.html: bad page number',
+      'p45.html: no route for p45.html',
+      'p5.html: no route for p5.html'
+    ]);
+  });
+
+  it('should fall back to the main thread for custom slugify functions', async () => {
+    const slugify = (text) => `x-${text.length}`;
+    const main = await build({ slugify });
+    const threaded = await build({ slugify, workers: 2 });
+
+    assert.deepEqual(withoutTimestamp(threaded.index), withoutTimestamp(main.index));
+  });
+
+  it('should size the pool from the option and the page count', () => {
+    assert.equal(getPoolSize(false, 1000), 0);
+    assert.equal(getPoolSize(4, 1000), 4);
+    assert.equal(getPoolSize(4, 2), 2);
+    assert.ok(getPoolSize(true, 10) <= 1, 'small sites stay on the main thread');
+  });
+});